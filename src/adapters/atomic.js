@@ -0,0 +1,127 @@
+
+// src/adapters/atomic.js
+// Crash-safe persistence for adapters keeping all their data in a single file. A save is
+// written to a temporary file that is renamed over the target, so the target is always either
+// the old or the new version. The replaced version is kept as `${filePath}.bak` and restored
+// when the target can't be parsed.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+function backupPath(filePath) {
+  return `${filePath}.bak`;
+}
+
+// Make a rename durable, directories can't be opened for syncing on every platform
+async function syncDirectory(directory) {
+  let handle;
+  try {
+    handle = await fs.open(directory, 'r');
+    await handle.sync();
+  } catch (error) {
+    // Best effort
+  } finally {
+    if (handle) await handle.close();
+  }
+}
+
+/**
+ * Replace a file atomically
+ * @param {string} filePath - Target file
+ * @param {string|Buffer} data - New content
+ * @param {Object} options - encoding, fsync (flush to disk before renaming) and backup (keep the replaced version)
+ */
+async function writeFileAtomic(filePath, data, { encoding = 'utf8', fsync = false, backup = true } = {}) {
+  const directory = path.dirname(filePath);
+  await fs.mkdir(directory, { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(data, encoding);
+      if (fsync) {
+        await handle.sync();
+      }
+    } finally {
+      await handle.close();
+    }
+
+    if (backup) {
+      // A hard link keeps the current version in place until the rename replaces it
+      await fs.rm(backupPath(filePath), { force: true });
+      await fs.link(filePath, backupPath(filePath)).catch(async error => {
+        if (error.code === 'ENOENT') return;
+        await fs.copyFile(filePath, backupPath(filePath)); // Filesystems without hard links
+      });
+    }
+
+    await fs.rename(tempPath, filePath);
+    if (fsync) {
+      await syncDirectory(directory);
+    }
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+function corruptionError(filePath, cause, outcome, recovered) {
+  const error = new Error(`Cache file ${filePath} is corrupted (${cause.message}), ${outcome}`);
+  error.code = 'ERR_CACHE_FILE_CORRUPTED';
+  error.filePath = filePath;
+  error.recovered = recovered;
+  return error;
+}
+
+/**
+ * Read a file written by writeFileAtomic(), restoring its backup when it can't be parsed
+ * The unreadable file is kept as `${filePath}.corrupt` for inspection.
+ * @param {string} filePath - File to read
+ * @param {function(string): *} parse - Parses the content, throwing for corrupted content
+ * @param {Object} options - encoding and backup (whether to fall back to the backup)
+ * @returns {Object} data: parsed content or null when there is none, error: the recovery or
+ *                   data loss to report, or null
+ */
+async function readFileWithRecovery(filePath, parse, { encoding = 'utf8', backup = true } = {}) {
+  let cause;
+  try {
+    return { data: parse(await fs.readFile(filePath, encoding)), error: null };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { data: null, error: null };
+    }
+    cause = error;
+  }
+
+  await fs.rename(filePath, `${filePath}.corrupt`).catch(() => {});
+
+  if (backup) {
+    try {
+      const data = parse(await fs.readFile(backupPath(filePath), encoding));
+      // Put the backup back in place, so a crash before the next save doesn't lose it
+      await fs.copyFile(backupPath(filePath), filePath);
+      return { data, error: corruptionError(filePath, cause, 'restored the backup', true) };
+    } catch (error) {
+      // No usable backup either
+    }
+  }
+  return { data: null, error: corruptionError(filePath, cause, 'starting with an empty cache', false) };
+}
+
+/**
+ * Parse the JSON object stored by the file and JSON adapters
+ */
+function parseJsonObject(content) {
+  const data = JSON.parse(content);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('content is not a JSON object');
+  }
+  return data;
+}
+
+module.exports = {
+  writeFileAtomic,
+  readFileWithRecovery,
+  parseJsonObject
+};
@@ -0,0 +1,25 @@
+
+// src/adapters/binary.js
+// Buffer payloads, such as those of the structured-binary serializer, in adapters storing values
+// as JSON (file, json, patch, redis and postgresql). They are written as base64 in an object of
+// their own instead of Buffer's JSON form, which spends an array element on every byte.
+const BINARY_KEY = '$base64';
+
+/**
+ * Turn a payload into a value JSON.stringify() writes compactly
+ */
+function encodeBinary(value) {
+  return Buffer.isBuffer(value) ? { [BINARY_KEY]: value.toString('base64') } : value;
+}
+
+/**
+ * Turn a value parsed from JSON back into the payload, Buffers included
+ */
+function decodeBinary(value) {
+  if (value && typeof value === 'object' && typeof value[BINARY_KEY] === 'string' && Object.keys(value).length === 1) {
+    return Buffer.from(value[BINARY_KEY], 'base64');
+  }
+  return value;
+}
+
+module.exports = { encodeBinary, decodeBinary };
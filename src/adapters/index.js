@@ -3,13 +3,21 @@
 const MemoryAdapter = require('./memory');
 const FileAdapter = require('./file');
 const JsonAdapter = require('./json');
+const PatchAdapter = require('./patch');
+const ShardedFileAdapter = require('./sharded');
 const RedisAdapter = require('./redis');
 const PostgreSQLAdapter = require('./postgresql');
+const SQLiteAdapter = require('./sqlite');
+const TieredAdapter = require('./tiered');
 
 module.exports = {
   MemoryAdapter,
   FileAdapter,
   JsonAdapter,
+  PatchAdapter,
+  ShardedFileAdapter,
   RedisAdapter,
   PostgreSQLAdapter,
+  SQLiteAdapter,
+  TieredAdapter,
 };
@@ -0,0 +1,163 @@
+
+// src/adapters/lock.js
+// Advisory lockfiles for adapters shared by several processes on one host. A lock is a file
+// created exclusively next to the data file, holding the owner's pid and host. Locks left
+// behind by crashed processes are detected by their age, or by their pid no longer running.
+// Owners refresh the mtime of their lock while holding it, so only abandoned locks grow old.
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM'; // Running, owned by another user
+  }
+}
+
+/**
+ * Private: Read a lock that may be abandoned
+ * @returns {Object|null} { ino, content } of the lock when it is stale, null otherwise
+ */
+async function readStaleLock(lockPath, staleTime) {
+  let stats;
+  let content;
+  try {
+    stats = await fs.stat(lockPath);
+    content = await fs.readFile(lockPath, 'utf8');
+  } catch (error) {
+    return null; // Gone already
+  }
+
+  const stale = { ino: stats.ino, content };
+  if (Date.now() - stats.mtimeMs > staleTime) return stale;
+  let owner;
+  try {
+    owner = JSON.parse(content);
+  } catch (error) {
+    return null; // Still being written by its owner
+  }
+  return owner.hostname === os.hostname() && !isProcessAlive(owner.pid) ? stale : null;
+}
+
+/**
+ * Private: Remove a stale lock, unless another process replaced it since it was read
+ * The lock is renamed out of the way first, so only one of several processes taking over the
+ * same stale lock removes it. A fresh lock moved by mistake is put back.
+ */
+async function removeStaleLock(lockPath, stale) {
+  const movedPath = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    await fs.rename(lockPath, movedPath);
+  } catch (error) {
+    return; // Taken over by another process already
+  }
+
+  try {
+    const { ino } = await fs.stat(movedPath);
+    if (ino !== stale.ino || await fs.readFile(movedPath, 'utf8') !== stale.content) {
+      // Fails when yet another process created a lock meanwhile, which then keeps it
+      await fs.link(movedPath, lockPath).catch(() => {});
+    }
+  } finally {
+    await fs.unlink(movedPath).catch(() => {});
+  }
+}
+
+/**
+ * Acquire a lockfile, waiting while another process holds it
+ * @param {string} lockPath - Path of the lockfile
+ * @param {Object} options - timeout: longest wait (ms), staleTime: age after which a lock is
+ *                           considered abandoned (ms), retryDelay: pause between attempts (ms)
+ * @returns {function(): Promise} Releases the lock
+ * @throws {Error} With code ERR_CACHE_LOCK_TIMEOUT when the lock isn't acquired in time
+ */
+async function acquireLock(lockPath, { timeout = 5000, staleTime = 10000, retryDelay = 25 } = {}) {
+  const token = crypto.randomBytes(8).toString('hex');
+  const content = JSON.stringify({ pid: process.pid, hostname: os.hostname(), token, createdAt: Date.now() });
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    try {
+      await fs.writeFile(lockPath, content, { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await fs.mkdir(path.dirname(lockPath), { recursive: true });
+        continue;
+      }
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const stale = await readStaleLock(lockPath, staleTime);
+    if (stale) {
+      await removeStaleLock(lockPath, stale);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      const timeoutError = new Error(`Timed out after ${timeout}ms waiting for lock ${lockPath}`);
+      timeoutError.code = 'ERR_CACHE_LOCK_TIMEOUT';
+      throw timeoutError;
+    }
+    await new Promise(resolve => setTimeout(resolve, retryDelay));
+  }
+
+  // Keep the lock fresh while a long task holds it, so it isn't taken over as stale
+  const refreshTimer = setInterval(async () => {
+    try {
+      if (JSON.parse(await fs.readFile(lockPath, 'utf8')).token === token) {
+        const now = new Date();
+        await fs.utimes(lockPath, now, now);
+      }
+    } catch (error) {
+      // Removed, or replaced by another process
+    }
+  }, Math.max(1, Math.floor(staleTime / 3)));
+  refreshTimer.unref();
+
+  return async () => {
+    clearInterval(refreshTimer);
+    // Don't remove a lock taken over by another process after ours was considered stale
+    try {
+      if (JSON.parse(await fs.readFile(lockPath, 'utf8')).token === token) {
+        await fs.unlink(lockPath);
+      }
+    } catch (error) {
+      // Already removed
+    }
+  };
+}
+
+/**
+ * Run a task while holding a lockfile
+ */
+async function withLock(lockPath, options, task) {
+  const release = await acquireLock(lockPath, options);
+  try {
+    return await task();
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Identify the current version of a file, which changes with every rename into place
+ * @returns {string|null} null when the file doesn't exist
+ */
+async function fileSignature(filePath) {
+  try {
+    const { ino, size, mtimeMs } = await fs.stat(filePath);
+    return `${ino}:${size}:${mtimeMs}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  acquireLock,
+  withLock,
+  fileSignature
+};
@@ -3,23 +3,54 @@
 class MemoryAdapter {
   constructor() {
     this.store = new Map();
+    this.meta = new Map();
+    this.tagVersions = new Map();
   }
   
   async get(key) {
     return this.store.get(key);
   }
   
-  async set(key, value) {
+  async set(key, value, { meta = null } = {}) {
     this.store.set(key, value);
+    this.meta.set(key, meta);
     return true;
   }
   
+  async setMeta(key, meta) {
+    if (!this.store.has(key)) return false;
+    this.meta.set(key, meta);
+    return true;
+  }
+  
+  async getMeta(key) {
+    if (!this.store.has(key)) return undefined;
+    return this.meta.get(key) || null;
+  }
+  
+  async metadata() {
+    return Array.from(this.store.keys(), key => [key, this.meta.get(key) || null]);
+  }
+  
+  async getTagVersions(tags) {
+    return Object.fromEntries(tags.map(tag => [tag, this.tagVersions.get(tag) || 0]));
+  }
+  
+  async incrementTagVersion(tag) {
+    const version = (this.tagVersions.get(tag) || 0) + 1;
+    this.tagVersions.set(tag, version);
+    return version;
+  }
+  
   async delete(key) {
+    this.meta.delete(key);
     return this.store.delete(key);
   }
   
   async clear() {
     this.store.clear();
+    this.meta.clear();
+    this.tagVersions.clear();
     return true;
   }
   
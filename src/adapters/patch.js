@@ -0,0 +1,228 @@
+
+// src/adapters/patch.js
+const fs = require('fs').promises;
+const path = require('path');
+const { encodeBinary, decodeBinary } = require('./binary');
+
+class PatchAdapter {
+  constructor(options = {}) {
+    this.filePath = options.filePath || './cache.patch.json';
+    this.compactionRatio = options.compactionRatio || 2; // Log operations per live entry before compacting
+    this.minCompactionSize = options.minCompactionSize || 1000; // Never compact smaller logs
+    this.store = new Map();
+    this.meta = new Map();
+    this.tagVersions = new Map();
+    this._logSize = 0; // Operations currently in the log file
+    this._writes = Promise.resolve(); // Serializes appends and compactions
+    this._compacting = null;
+    this._ready = this._loadFromFile();
+  }
+
+  async _loadFromFile() {
+    let data;
+    try {
+      data = await fs.readFile(this.filePath);
+    } catch (error) {
+      // File doesn't exist, start with empty store
+      return;
+    }
+
+    // Only complete lines are replayed, a last line without its newline is a torn write from a
+    // crash even when it happens to parse
+    const end = data.lastIndexOf(0x0a) + 1;
+    for (const line of data.toString('utf8', 0, end).split('\n')) {
+      if (!line) continue;
+      let operation;
+      try {
+        operation = JSON.parse(line);
+      } catch (error) {
+        // Torn write from a crash, skip it
+        continue;
+      }
+      this._apply(operation);
+      this._logSize++;
+    }
+
+    // Cut off the torn write, the next append would otherwise be glued to it
+    if (end < data.length) {
+      try {
+        await fs.truncate(this.filePath, end);
+      } catch (error) {
+        throw new Error(`Failed to repair patch file: ${error.message}`);
+      }
+    }
+  }
+
+  _apply(operation) {
+    const { op, key } = operation;
+    switch (op) {
+      case 'set':
+        this.store.set(key, decodeBinary(operation.value));
+        if (operation.meta) {
+          this.meta.set(key, operation.meta);
+        } else {
+          this.meta.delete(key);
+        }
+        break;
+      case 'meta':
+        if (this.store.has(key)) {
+          this.meta.set(key, operation.meta);
+        }
+        break;
+      case 'delete':
+        this.store.delete(key);
+        this.meta.delete(key);
+        break;
+      case 'tagVersion':
+        this.tagVersions.set(operation.tag, operation.version);
+        break;
+      case 'clear':
+        this.store.clear();
+        this.meta.clear();
+        this.tagVersions.clear();
+        break;
+    }
+  }
+
+  _formatLine(operation) {
+    const line = operation.op === 'set' ? { ...operation, value: encodeBinary(operation.value) } : operation;
+    return `${JSON.stringify(line)}\n`;
+  }
+
+  _enqueue(task) {
+    const run = this._writes.then(task);
+    this._writes = run.catch(() => {});
+    return run;
+  }
+
+  async _append(operation) {
+    this._apply(operation);
+    this._logSize++;
+
+    const write = this._enqueue(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, this._formatLine(operation), 'utf8');
+      } catch (error) {
+        throw new Error(`Failed to append to patch file: ${error.message}`);
+      }
+    });
+
+    this._scheduleCompaction();
+    return write;
+  }
+
+  _scheduleCompaction() {
+    if (this._compacting) return;
+    if (this._logSize < this.minCompactionSize) return;
+    if (this._logSize <= (this.store.size + this.tagVersions.size) * this.compactionRatio) return;
+
+    this._compacting = this.compact()
+      .catch(() => {}) // The log is still valid, compaction is retried on a later write
+      .then(() => {
+        this._compacting = null;
+      });
+  }
+
+  /**
+   * Rewrite the log with a single set operation per live entry
+   */
+  async compact() {
+    await this._ready;
+    return this._enqueue(async () => {
+      const lines = [];
+      for (const [key, value] of this.store) {
+        lines.push(this._formatLine({ op: 'set', key, value, meta: this.meta.get(key) || null }));
+      }
+      for (const [tag, version] of this.tagVersions) {
+        lines.push(this._formatLine({ op: 'tagVersion', tag, version }));
+      }
+
+      const tempPath = `${this.filePath}.tmp`;
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, lines.join(''), 'utf8');
+        await fs.rename(tempPath, this.filePath);
+        this._logSize = lines.length;
+      } catch (error) {
+        throw new Error(`Failed to compact patch file: ${error.message}`);
+      }
+    });
+  }
+
+  async get(key) {
+    await this._ready;
+    return this.store.get(key);
+  }
+
+  async set(key, value, { meta = null } = {}) {
+    await this._ready;
+    await this._append({ op: 'set', key, value, meta });
+    return true;
+  }
+
+  async setMeta(key, meta) {
+    await this._ready;
+    if (!this.store.has(key)) return false;
+    await this._append({ op: 'meta', key, meta });
+    return true;
+  }
+
+  async getMeta(key) {
+    await this._ready;
+    if (!this.store.has(key)) return undefined;
+    return this.meta.get(key) || null;
+  }
+
+  async metadata() {
+    await this._ready;
+    return Array.from(this.store.keys(), key => [key, this.meta.get(key) || null]);
+  }
+
+  async getTagVersions(tags) {
+    await this._ready;
+    return Object.fromEntries(tags.map(tag => [tag, this.tagVersions.get(tag) || 0]));
+  }
+
+  async incrementTagVersion(tag) {
+    await this._ready;
+    const version = (this.tagVersions.get(tag) || 0) + 1;
+    await this._append({ op: 'tagVersion', tag, version });
+    return version;
+  }
+
+  async delete(key) {
+    await this._ready;
+    if (!this.store.has(key)) return false;
+    await this._append({ op: 'delete', key });
+    return true;
+  }
+
+  async clear() {
+    await this._ready;
+    this._apply({ op: 'clear' });
+    await this.compact();
+    return true;
+  }
+
+  async keys() {
+    await this._ready;
+    return Array.from(this.store.keys());
+  }
+
+  async size() {
+    await this._ready;
+    return this.store.size;
+  }
+
+  async has(key) {
+    await this._ready;
+    return this.store.has(key);
+  }
+
+  async disconnect() {
+    await this._writes;
+  }
+}
+
+module.exports = PatchAdapter;
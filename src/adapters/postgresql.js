@@ -1,5 +1,8 @@
 
 // src/adapters/postgresql.js
+const { globToLike, globToRegExp } = require('../glob');
+const { encodeBinary, decodeBinary } = require('./binary');
+
 class PostgreSQLAdapter {
   constructor(options = {}) {
     this.options = {
@@ -9,11 +12,14 @@ class PostgreSQLAdapter {
       password: options.password || '',
       database: options.database || 'cache_db',
       table: options.table || 'cache_store',
+      purgeInterval: options.purgeInterval || 60000, // Interval for deleting expired rows
       ...options
     };
     
+    this.shared = true; // Other processes read and write the same data
     this.client = null;
     this._connected = false;
+    this.purgeTimer = null;
     this._connect();
   }
   
@@ -33,6 +39,13 @@ class PostgreSQLAdapter {
       await this.client.connect();
       await this._createTable();
       this._connected = true;
+      
+      if (this.options.purgeInterval > 0 && !this.purgeTimer) {
+        this.purgeTimer = setInterval(() => {
+          this.purgeExpired();
+        }, this.options.purgeInterval);
+        this.purgeTimer.unref();
+      }
     } catch (error) {
       throw new Error(`PostgreSQL connection failed: ${error.message}. Make sure to install pg: npm install pg`);
     }
@@ -43,12 +56,52 @@ class PostgreSQLAdapter {
       CREATE TABLE IF NOT EXISTS ${this.options.table} (
         key VARCHAR(255) PRIMARY KEY,
         value JSONB NOT NULL,
+        meta JSONB,
+        expires_at TIMESTAMPTZ,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `;
     
     await this.client.query(query);
+    // Tables created by earlier versions lack the metadata and expiration columns
+    await this.client.query(`ALTER TABLE ${this.options.table} ADD COLUMN IF NOT EXISTS meta JSONB`);
+    await this.client.query(`ALTER TABLE ${this.options.table} ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ`);
+    await this.client.query(
+      `CREATE INDEX IF NOT EXISTS ${this.options.table}_expires_at_idx ON ${this.options.table} (expires_at)`
+    );
+    await this.client.query(`
+      CREATE TABLE IF NOT EXISTS ${this._tagVersionsTable()} (
+        tag VARCHAR(255) PRIMARY KEY,
+        version BIGINT NOT NULL
+      )
+    `);
+  }
+  
+  _tagVersionsTable() {
+    return `${this.options.table}_tag_versions`;
+  }
+  
+  // SQL condition matching rows that have not expired
+  _notExpired() {
+    return '(expires_at IS NULL OR expires_at > NOW())';
+  }
+  
+  /**
+   * Delete expired rows
+   * @returns {number} Number of deleted rows
+   */
+  async purgeExpired() {
+    if (!this._connected) await this._connect();
+    
+    try {
+      const result = await this.client.query(
+        `DELETE FROM ${this.options.table} WHERE expires_at <= NOW()`
+      );
+      return result.rowCount;
+    } catch (error) {
+      return 0;
+    }
   }
   
   async get(key) {
@@ -56,26 +109,26 @@ class PostgreSQLAdapter {
     
     try {
       const result = await this.client.query(
-        `SELECT value FROM ${this.options.table} WHERE key = $1`,
+        `SELECT value FROM ${this.options.table} WHERE key = $1 AND ${this._notExpired()}`,
         [key]
       );
       
-      return result.rows.length > 0 ? result.rows[0].value : undefined;
+      return result.rows.length > 0 ? decodeBinary(result.rows[0].value) : undefined;
     } catch (error) {
       return undefined;
     }
   }
   
-  async set(key, value) {
+  async set(key, value, { ttl = 0, meta = null } = {}) {
     if (!this._connected) await this._connect();
     
     try {
       await this.client.query(
-        `INSERT INTO ${this.options.table} (key, value, updated_at) 
-         VALUES ($1, $2, CURRENT_TIMESTAMP)
+        `INSERT INTO ${this.options.table} (key, value, meta, expires_at, updated_at) 
+         VALUES ($1, $2, $3, ${this._expiresAt('$4')}, CURRENT_TIMESTAMP)
          ON CONFLICT (key) 
-         DO UPDATE SET value = $2, updated_at = CURRENT_TIMESTAMP`,
-        [key, JSON.stringify(value)]
+         DO UPDATE SET value = $2, meta = $3, expires_at = ${this._expiresAt('$4')}, updated_at = CURRENT_TIMESTAMP`,
+        [key, JSON.stringify(encodeBinary(value)), meta ? JSON.stringify(meta) : null, ttl]
       );
       return true;
     } catch (error) {
@@ -83,6 +136,85 @@ class PostgreSQLAdapter {
     }
   }
   
+  async setMeta(key, meta) {
+    if (!this._connected) await this._connect();
+    
+    try {
+      const result = await this.client.query(
+        `UPDATE ${this.options.table} SET meta = $2 WHERE key = $1`,
+        [key, JSON.stringify(meta)]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  async expire(key, ttl) {
+    if (!this._connected) await this._connect();
+    
+    try {
+      const result = await this.client.query(
+        `UPDATE ${this.options.table} SET expires_at = ${this._expiresAt('$2')} WHERE key = $1`,
+        [key, ttl]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  // SQL expression turning a TTL parameter in milliseconds into an expiration time
+  _expiresAt(param) {
+    return `CASE WHEN ${param}::bigint > 0 THEN NOW() + ${param}::bigint * INTERVAL '1 millisecond' END`;
+  }
+  
+  async getMeta(key) {
+    if (!this._connected) await this._connect();
+    
+    const result = await this.client.query(
+      `SELECT meta FROM ${this.options.table} WHERE key = $1 AND ${this._notExpired()}`,
+      [key]
+    );
+    return result.rows.length > 0 ? result.rows[0].meta || null : undefined;
+  }
+  
+  async metadata() {
+    if (!this._connected) await this._connect();
+    
+    const result = await this.client.query(
+      `SELECT key, meta FROM ${this.options.table} WHERE ${this._notExpired()}`
+    );
+    return result.rows.map(row => [row.key, row.meta || null]);
+  }
+  
+  async getTagVersions(tags) {
+    if (!this._connected) await this._connect();
+    if (tags.length === 0) return {};
+    
+    const result = await this.client.query(
+      `SELECT tag, version FROM ${this._tagVersionsTable()} WHERE tag = ANY($1)`,
+      [tags]
+    );
+    const versions = Object.fromEntries(tags.map(tag => [tag, 0]));
+    for (const row of result.rows) {
+      versions[row.tag] = Number(row.version);
+    }
+    return versions;
+  }
+  
+  async incrementTagVersion(tag) {
+    if (!this._connected) await this._connect();
+    
+    const result = await this.client.query(
+      `INSERT INTO ${this._tagVersionsTable()} (tag, version) VALUES ($1, 1)
+       ON CONFLICT (tag) DO UPDATE SET version = ${this._tagVersionsTable()}.version + 1
+       RETURNING version`,
+      [tag]
+    );
+    return Number(result.rows[0].version);
+  }
+  
   async delete(key) {
     if (!this._connected) await this._connect();
     
@@ -102,6 +234,7 @@ class PostgreSQLAdapter {
     
     try {
       await this.client.query(`DELETE FROM ${this.options.table}`);
+      await this.client.query(`DELETE FROM ${this._tagVersionsTable()}`);
       return true;
     } catch (error) {
       return false;
@@ -112,18 +245,58 @@ class PostgreSQLAdapter {
     if (!this._connected) await this._connect();
     
     try {
-      const result = await this.client.query(`SELECT key FROM ${this.options.table}`);
+      const result = await this.client.query(
+        `SELECT key FROM ${this.options.table} WHERE ${this._notExpired()}`
+      );
       return result.rows.map(row => row.key);
     } catch (error) {
       return [];
     }
   }
   
+  /**
+   * Iterate over keys matching a glob pattern, in key order
+   * Pages are fetched with keyset pagination, so the scan stays cheap on large tables.
+   * @param {Object} options - match (glob pattern) and count (rows per query)
+   */
+  async *scan({ match = '*', count = 100 } = {}) {
+    if (!this._connected) await this._connect();
+    
+    const { like, exact } = globToLike(match);
+    // LIKE can't express character classes, so those rows are filtered again here
+    const matches = exact ? null : globToRegExp(match);
+    let lastKey = null;
+    
+    while (true) {
+      let result;
+      try {
+        result = await this.client.query(
+          `SELECT key FROM ${this.options.table}
+           WHERE key LIKE $1 AND ($2::text IS NULL OR key > $2) AND ${this._notExpired()}
+           ORDER BY key LIMIT $3`,
+          [like, lastKey, count]
+        );
+      } catch (error) {
+        return;
+      }
+      
+      for (const row of result.rows) {
+        if (!matches || matches.test(row.key)) {
+          yield row.key;
+        }
+      }
+      if (result.rows.length < count) return;
+      lastKey = result.rows[result.rows.length - 1].key;
+    }
+  }
+  
   async size() {
     if (!this._connected) await this._connect();
     
     try {
-      const result = await this.client.query(`SELECT COUNT(*) as count FROM ${this.options.table}`);
+      const result = await this.client.query(
+        `SELECT COUNT(*) as count FROM ${this.options.table} WHERE ${this._notExpired()}`
+      );
       return parseInt(result.rows[0].count);
     } catch (error) {
       return 0;
@@ -135,7 +308,7 @@ class PostgreSQLAdapter {
     
     try {
       const result = await this.client.query(
-        `SELECT 1 FROM ${this.options.table} WHERE key = $1`,
+        `SELECT 1 FROM ${this.options.table} WHERE key = $1 AND ${this._notExpired()}`,
         [key]
       );
       return result.rows.length > 0;
@@ -145,6 +318,10 @@ class PostgreSQLAdapter {
   }
   
   async disconnect() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
     if (this.client && this._connected) {
       await this.client.end();
       this._connected = false;
@@ -1,5 +1,18 @@
 
 // src/adapters/redis.js
+const { escapeGlob } = require('../glob');
+const { encodeBinary, decodeBinary } = require('./binary');
+
+// Deletes the metadata fields (ARGV) whose keys (KEYS[2..]) don't exist, from the hash KEYS[1]
+const DELETE_ORPHANED_META = `
+for i, field in ipairs(ARGV) do
+  if redis.call('EXISTS', KEYS[i + 1]) == 0 then
+    redis.call('HDEL', KEYS[1], field)
+  end
+end
+return 0
+`;
+
 class RedisAdapter {
   constructor(options = {}) {
     this.options = {
@@ -11,6 +24,12 @@ class RedisAdapter {
       ...options
     };
     
+    // Hash holding entry metadata, one field per key
+    this.metaKey = this.options.metaKey || `${this.options.keyPrefix}__meta__`;
+    // Hash holding tag version counters, one field per tag
+    this.tagVersionsKey = this.options.tagVersionsKey || `${this.options.keyPrefix}__tagversions__`;
+    
+    this.shared = true; // Other processes read and write the same data
     this.client = null;
     this._connected = false;
     this._connect();
@@ -46,57 +65,179 @@ class RedisAdapter {
     
     try {
       const result = await this.client.get(this._getKey(key));
-      return result ? JSON.parse(result) : undefined;
+      return result ? decodeBinary(JSON.parse(result)) : undefined;
     } catch (error) {
       return undefined;
     }
   }
   
-  async set(key, value) {
+  async set(key, value, { ttl = 0, meta = null } = {}) {
+    const redisKey = this._getKey(key);
+    if (redisKey === this.metaKey || redisKey === this.tagVersionsKey) {
+      throw new Error(`Key ${key} is reserved by the Redis adapter`);
+    }
+    if (!this._connected) await this._connect();
+    
+    try {
+      const transaction = this.client.multi().set(
+        redisKey,
+        JSON.stringify(encodeBinary(value)),
+        ttl > 0 ? { expiration: { type: 'PX', value: ttl } } : {}
+      );
+      if (meta) {
+        transaction.hSet(this.metaKey, key, JSON.stringify(meta));
+      } else {
+        transaction.hDel(this.metaKey, key);
+      }
+      await transaction.exec();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  async setMeta(key, meta) {
     if (!this._connected) await this._connect();
     
     try {
-      await this.client.set(this._getKey(key), JSON.stringify(value));
+      if (!(await this.client.exists(this._getKey(key)))) return false;
+      await this.client.hSet(this.metaKey, key, JSON.stringify(meta));
       return true;
     } catch (error) {
       return false;
     }
   }
   
+  async expire(key, ttl) {
+    if (!this._connected) await this._connect();
+    
+    try {
+      const redisKey = this._getKey(key);
+      const result = ttl > 0
+        ? await this.client.pExpire(redisKey, ttl)
+        : await this.client.persist(redisKey);
+      return Boolean(result);
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  async getMeta(key) {
+    if (!this._connected) await this._connect();
+    
+    const [exists, rawMeta] = await Promise.all([
+      this.client.exists(this._getKey(key)),
+      this.client.hGet(this.metaKey, key)
+    ]);
+    if (!exists) return undefined;
+    return rawMeta ? JSON.parse(rawMeta) : null;
+  }
+  
+  async metadata() {
+    if (!this._connected) await this._connect();
+    
+    const [keys, rawMeta] = await Promise.all([
+      this.keys(),
+      this.client.hGetAll(this.metaKey)
+    ]);
+    
+    // Metadata of keys that Redis expired natively, removed by a script that checks each key
+    // again so metadata written meanwhile by other processes is kept
+    const liveKeys = new Set(keys);
+    const orphaned = Object.keys(rawMeta).filter(key => !liveKeys.has(key));
+    if (orphaned.length > 0) {
+      await this.client.eval(DELETE_ORPHANED_META, {
+        keys: [this.metaKey, ...orphaned.map(key => this._getKey(key))],
+        arguments: orphaned
+      });
+    }
+    
+    return keys.map(key => [key, rawMeta[key] ? JSON.parse(rawMeta[key]) : null]);
+  }
+  
+  async getTagVersions(tags) {
+    if (!this._connected) await this._connect();
+    if (tags.length === 0) return {};
+    
+    const versions = await this.client.hmGet(this.tagVersionsKey, tags);
+    return Object.fromEntries(tags.map((tag, index) => [tag, Number(versions[index]) || 0]));
+  }
+  
+  async incrementTagVersion(tag) {
+    if (!this._connected) await this._connect();
+    return Number(await this.client.hIncrBy(this.tagVersionsKey, tag, 1));
+  }
+  
   async delete(key) {
     if (!this._connected) await this._connect();
     
     try {
-      const result = await this.client.del(this._getKey(key));
+      const [result] = await this.client.multi()
+        .del(this._getKey(key))
+        .hDel(this.metaKey, key)
+        .exec();
       return result > 0;
     } catch (error) {
       return false;
     }
   }
   
-  async clear() {
+  /**
+   * Private: Iterate over batches of Redis keys with SCAN, which unlike KEYS doesn't block the server
+   */
+  async *_scanBatches(match, count) {
+    let cursor = '0';
+    do {
+      const reply = await this.client.scan(cursor, { MATCH: match, COUNT: count });
+      cursor = String(reply.cursor);
+      if (reply.keys.length > 0) {
+        yield reply.keys;
+      }
+    } while (cursor !== '0');
+  }
+  
+  /**
+   * Iterate over keys matching a glob pattern
+   * Keys may be returned more than once if the keyspace changes during the scan.
+   * @param {Object} options - match (glob pattern) and count (keys per SCAN call)
+   */
+  async *scan({ match = '*', count = 100 } = {}) {
     if (!this._connected) await this._connect();
     
+    const pattern = `${escapeGlob(this.options.keyPrefix)}${match}`;
     try {
-      const keys = await this.client.keys(`${this.options.keyPrefix}*`);
-      if (keys.length > 0) {
-        await this.client.del(keys);
+      for await (const batch of this._scanBatches(pattern, count)) {
+        for (const redisKey of batch) {
+          if (redisKey !== this.metaKey && redisKey !== this.tagVersionsKey) {
+            yield redisKey.slice(this.options.keyPrefix.length);
+          }
+        }
       }
-      return true;
     } catch (error) {
-      return false;
+      return;
     }
   }
   
-  async keys() {
+  async clear() {
     if (!this._connected) await this._connect();
     
     try {
-      const redisKeys = await this.client.keys(`${this.options.keyPrefix}*`);
-      return redisKeys.map(key => key.replace(this.options.keyPrefix, ''));
+      // Includes the metadata and tag version hashes, which share the key prefix
+      for await (const batch of this._scanBatches(`${escapeGlob(this.options.keyPrefix)}*`, 1000)) {
+        await this.client.del(batch);
+      }
+      return true;
     } catch (error) {
-      return [];
+      return false;
+    }
+  }
+  
+  async keys() {
+    const keys = new Set();
+    for await (const key of this.scan({ count: 1000 })) {
+      keys.add(key);
     }
+    return Array.from(keys);
   }
   
   async size() {
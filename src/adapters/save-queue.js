@@ -0,0 +1,112 @@
+
+// src/adapters/save-queue.js
+// Serializes the saves of adapters that rewrite a whole file. At most one save runs at a time
+// and every request arriving meanwhile shares the next one, which snapshots the data when it
+// starts. With flushInterval or flushOnIdle, requests only mark the data dirty and saves happen
+// on a timer or on flush().
+
+class SaveQueue {
+  /**
+   * @param {function(): Promise} save - Writes the current data
+   * @param {Object} options - flushInterval: longest time changes stay unsaved (ms),
+   *                           flushOnIdle: save once no change was made for this long (ms),
+   *                           onError: receives errors of timed saves
+   */
+  constructor(save, options = {}) {
+    this.save = save;
+    this.flushInterval = options.flushInterval || 0;
+    this.flushOnIdle = options.flushOnIdle || 0;
+    this.onError = options.onError || (() => {});
+    this.dirty = false; // Changes not yet part of a started save
+    this._running = null;
+    this._next = null;
+    this._intervalTimer = null;
+    this._idleTimer = null;
+  }
+
+  get deferred() {
+    return this.flushInterval > 0 || this.flushOnIdle > 0;
+  }
+
+  /**
+   * Private: Queue a save behind the running one, joining a save that is already queued
+   */
+  _enqueue() {
+    if (this._next) return this._next;
+
+    const previous = this._running ? this._running.catch(() => {}) : Promise.resolve();
+    const next = previous.then(async () => {
+      this._next = null;
+      this._running = next;
+      this.dirty = false;
+      try {
+        await this.save();
+      } catch (error) {
+        this.dirty = true; // Retried by the next save
+        throw error;
+      } finally {
+        if (this._running === next) {
+          this._running = null;
+        }
+      }
+    });
+    this._next = next;
+    return next;
+  }
+
+  _clearTimers() {
+    clearTimeout(this._intervalTimer);
+    clearTimeout(this._idleTimer);
+    this._intervalTimer = null;
+    this._idleTimer = null;
+  }
+
+  // Timers are not unref'd, so a process exiting on its own saves its last changes first
+  _schedule() {
+    const flush = () => {
+      this.flush().catch(error => this.onError(error));
+    };
+    if (this.flushOnIdle > 0) {
+      clearTimeout(this._idleTimer);
+      this._idleTimer = setTimeout(flush, this.flushOnIdle);
+    }
+    if (this.flushInterval > 0 && !this._intervalTimer) {
+      this._intervalTimer = setTimeout(flush, this.flushInterval);
+    }
+  }
+
+  /**
+   * Record a change
+   * @returns {Promise} Resolves once the change is saved, or right away when saves are deferred
+   */
+  request() {
+    this.dirty = true;
+    if (!this.deferred) {
+      return this._enqueue();
+    }
+    this._schedule();
+    return Promise.resolve();
+  }
+
+  /**
+   * Save pending changes now
+   * @returns {Promise} Resolves once every change made so far is saved
+   */
+  flush() {
+    this._clearTimers();
+    if (this.dirty) {
+      return this._enqueue();
+    }
+    return this._next || this._running || Promise.resolve();
+  }
+
+  /**
+   * Save pending changes and stop the timers
+   */
+  async close() {
+    await this.flush();
+    this._clearTimers();
+  }
+}
+
+module.exports = SaveQueue;
@@ -0,0 +1,394 @@
+
+// src/adapters/sharded.js
+// Stores each entry in its own file under subdirectories named after the SHA-1 of its key:
+//   <directory>/3a/7f/3a7f...c1.entry
+// A file starts with a JSON header line holding the key, metadata, expiration and body
+// encoding, followed by the value itself, so Buffers and large strings are written as they are.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { createMatcher } = require('../glob');
+const { writeFileAtomic } = require('./atomic');
+const { withLock } = require('./lock');
+
+const ENTRY_EXTENSION = '.entry';
+const TAG_VERSIONS_FILE = 'tag-versions.json';
+
+class ShardedFileAdapter {
+  constructor(options = {}) {
+    this.options = {
+      directory: options.directory || './cache',
+      shardDepth: options.shardDepth !== undefined ? options.shardDepth : 2, // Levels of two-character subdirectories
+      maxDiskBytes: options.maxDiskBytes || 0, // 0 = no disk budget
+      ...options
+    };
+    this.lockOptions = {
+      timeout: options.lockTimeout || 5000, // Longest wait for the tag version lock (ms)
+      staleTime: options.staleLockTime || 10000 // Age after which a lock is considered abandoned (ms)
+    };
+
+    this.shared = true; // Other processes may use the same directory
+    this.diskBytes = 0; // Bytes of the entry files, measured at startup and after each cleanup
+    this._cleaning = null;
+    this._tagVersionWrites = Promise.resolve();
+    this._ready = this._measure();
+  }
+
+  async _measure() {
+    if (!this.options.maxDiskBytes) return;
+    let total = 0;
+    for await (const file of this._files()) {
+      try {
+        total += (await fs.stat(file)).size;
+      } catch (error) {
+        // Deleted by another process
+      }
+    }
+    this.diskBytes = total;
+  }
+
+  _hash(key) {
+    return crypto.createHash('sha1').update(String(key)).digest('hex');
+  }
+
+  _pathFor(key) {
+    const hash = this._hash(key);
+    const shards = [];
+    for (let level = 0; level < this.options.shardDepth; level++) {
+      shards.push(hash.slice(level * 2, level * 2 + 2));
+    }
+    return path.join(this.options.directory, ...shards, `${hash}${ENTRY_EXTENSION}`);
+  }
+
+  /**
+   * Private: Iterate over the paths of all entry files
+   */
+  async *_files(directory = this.options.directory, depth = 0) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      if (depth < this.options.shardDepth) {
+        if (entry.isDirectory()) {
+          yield* this._files(fullPath, depth + 1);
+        }
+      } else if (entry.isFile() && entry.name.endsWith(ENTRY_EXTENSION)) {
+        yield fullPath;
+      }
+    }
+  }
+
+  async _writeAtomic(filePath, data) {
+    try {
+      await writeFileAtomic(filePath, data, { backup: false });
+    } catch (error) {
+      throw new Error(`Failed to write cache entry: ${error.message}`);
+    }
+  }
+
+  _encode(header, value) {
+    let body;
+    if (Buffer.isBuffer(value)) {
+      header.encoding = 'binary';
+      body = value;
+    } else if (typeof value === 'string') {
+      header.encoding = 'utf8';
+      body = Buffer.from(value);
+    } else {
+      header.encoding = 'json';
+      body = Buffer.from(JSON.stringify(value));
+    }
+    return Buffer.concat([Buffer.from(`${JSON.stringify(header)}\n`), body]);
+  }
+
+  _decodeBody(header, body) {
+    switch (header.encoding) {
+      case 'binary':
+        return body;
+      case 'json':
+        return JSON.parse(body.toString());
+      default:
+        return body.toString();
+    }
+  }
+
+  /**
+   * Private: Read an entry file, deleting it when it expired
+   * @returns {Object|null} { header, body, size }, or null for missing, expired and unreadable files
+   */
+  async _read(filePath) {
+    let data;
+    try {
+      data = await fs.readFile(filePath);
+    } catch (error) {
+      return null;
+    }
+
+    const newline = data.indexOf(0x0a);
+    if (newline === -1) return null;
+    let header;
+    try {
+      header = JSON.parse(data.subarray(0, newline).toString());
+    } catch (error) {
+      return null;
+    }
+    if (this._isExpired(header)) {
+      await fs.unlink(filePath).catch(() => {});
+      return null;
+    }
+    return { header, body: data.subarray(newline + 1), size: data.length };
+  }
+
+  /**
+   * Private: Read only the header line of an entry file
+   */
+  async _readHeader(filePath) {
+    let handle;
+    try {
+      handle = await fs.open(filePath, 'r');
+      const chunks = [];
+      const chunk = Buffer.alloc(4096);
+      let position = 0;
+      while (true) {
+        const { bytesRead } = await handle.read(chunk, 0, chunk.length, position);
+        if (bytesRead === 0) return null;
+        const newline = chunk.subarray(0, bytesRead).indexOf(0x0a);
+        chunks.push(Buffer.from(chunk.subarray(0, newline === -1 ? bytesRead : newline)));
+        if (newline !== -1) break;
+        position += bytesRead;
+      }
+      const header = JSON.parse(Buffer.concat(chunks).toString());
+      return this._isExpired(header) ? null : header;
+    } catch (error) {
+      return null;
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  _isExpired(header) {
+    return Boolean(header.expiresAt) && header.expiresAt <= Date.now();
+  }
+
+  _expiresAt(ttl) {
+    return ttl > 0 ? Date.now() + ttl : null;
+  }
+
+  /**
+   * Private: Delete the least recently used files until the disk budget is met
+   * Reads refresh a file's mtime, so the oldest mtime marks the least recently used entry.
+   */
+  async _enforceBudget() {
+    if (!this.options.maxDiskBytes || this.diskBytes <= this.options.maxDiskBytes) return;
+    if (this._cleaning) return this._cleaning;
+
+    this._cleaning = (async () => {
+      const files = [];
+      for await (const file of this._files()) {
+        try {
+          const { size, mtimeMs } = await fs.stat(file);
+          files.push({ file, size, mtimeMs });
+        } catch (error) {
+          // Deleted by another process
+        }
+      }
+
+      // Other processes write to the same directory, so start from the measured total
+      this.diskBytes = files.reduce((total, { size }) => total + size, 0);
+      files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+      for (const { file, size } of files) {
+        if (this.diskBytes <= this.options.maxDiskBytes) break;
+        await fs.unlink(file).catch(() => {});
+        this.diskBytes -= size;
+      }
+    })();
+
+    try {
+      await this._cleaning;
+    } finally {
+      this._cleaning = null;
+    }
+  }
+
+  async _fileSize(filePath) {
+    try {
+      return (await fs.stat(filePath)).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  async get(key) {
+    await this._ready;
+    const filePath = this._pathFor(key);
+    const entry = await this._read(filePath);
+    if (!entry || entry.header.key !== key) return undefined;
+
+    if (this.options.maxDiskBytes) {
+      const now = new Date();
+      fs.utimes(filePath, now, now).catch(() => {});
+    }
+    return this._decodeBody(entry.header, entry.body);
+  }
+
+  async set(key, value, { ttl = 0, meta = null } = {}) {
+    await this._ready;
+    const filePath = this._pathFor(key);
+    const data = this._encode({ key, meta, expiresAt: this._expiresAt(ttl) }, value);
+    const previousSize = this.options.maxDiskBytes ? await this._fileSize(filePath) : 0;
+
+    await this._writeAtomic(filePath, data);
+    this.diskBytes += data.length - previousSize;
+    await this._enforceBudget();
+    return true;
+  }
+
+  /**
+   * Private: Rewrite the header of an existing entry
+   */
+  async _updateHeader(key, update) {
+    await this._ready;
+    const filePath = this._pathFor(key);
+    const entry = await this._read(filePath);
+    if (!entry || entry.header.key !== key) return false;
+
+    const data = this._encode({ ...entry.header, ...update }, this._decodeBody(entry.header, entry.body));
+    await this._writeAtomic(filePath, data);
+    this.diskBytes += data.length - entry.size;
+    return true;
+  }
+
+  async setMeta(key, meta) {
+    return this._updateHeader(key, { meta });
+  }
+
+  async expire(key, ttl) {
+    return this._updateHeader(key, { expiresAt: this._expiresAt(ttl) });
+  }
+
+  async getMeta(key) {
+    await this._ready;
+    const header = await this._readHeader(this._pathFor(key));
+    if (!header || header.key !== key) return undefined;
+    return header.meta || null;
+  }
+
+  async metadata() {
+    await this._ready;
+    const result = [];
+    for await (const file of this._files()) {
+      const header = await this._readHeader(file);
+      if (header) {
+        result.push([header.key, header.meta || null]);
+      }
+    }
+    return result;
+  }
+
+  async _readTagVersions() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.options.directory, TAG_VERSIONS_FILE), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async getTagVersions(tags) {
+    const versions = await this._readTagVersions();
+    return Object.fromEntries(tags.map(tag => [tag, versions[tag] || 0]));
+  }
+
+  async incrementTagVersion(tag) {
+    // Increments are serialized within this process, and across processes by a lockfile,
+    // so none of them is lost
+    const versionsPath = path.join(this.options.directory, TAG_VERSIONS_FILE);
+    const increment = this._tagVersionWrites.then(() => withLock(`${versionsPath}.lock`, this.lockOptions, async () => {
+      const versions = await this._readTagVersions();
+      versions[tag] = (versions[tag] || 0) + 1;
+      await this._writeAtomic(versionsPath, JSON.stringify(versions));
+      return versions[tag];
+    }));
+    this._tagVersionWrites = increment.catch(() => {});
+    return increment;
+  }
+
+  async delete(key) {
+    await this._ready;
+    const filePath = this._pathFor(key);
+    const size = this.options.maxDiskBytes ? await this._fileSize(filePath) : 0;
+    try {
+      await fs.unlink(filePath);
+      this.diskBytes -= size;
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async clear() {
+    await this._ready;
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.options.directory, { withFileTypes: true });
+    } catch (error) {
+      return true;
+    }
+
+    // Only remove what this adapter created, the directory may hold other files
+    await Promise.all(entries.map(entry => {
+      const fullPath = path.join(this.options.directory, entry.name);
+      if (entry.isDirectory() && /^[0-9a-f]{2}$/.test(entry.name)) {
+        return fs.rm(fullPath, { recursive: true, force: true });
+      }
+      if (entry.name === TAG_VERSIONS_FILE || entry.name.endsWith(ENTRY_EXTENSION)) {
+        return fs.rm(fullPath, { force: true });
+      }
+      return null;
+    }));
+    this.diskBytes = 0;
+    return true;
+  }
+
+  async keys() {
+    const result = [];
+    for await (const key of this.scan()) {
+      result.push(key);
+    }
+    return result;
+  }
+
+  /**
+   * Iterate over keys matching a glob pattern, reading only the header of each file
+   * @param {Object} options - match (glob pattern)
+   */
+  async *scan({ match = '*' } = {}) {
+    await this._ready;
+    const matches = createMatcher(match);
+    for await (const file of this._files()) {
+      const header = await this._readHeader(file);
+      if (header && matches(header.key)) {
+        yield header.key;
+      }
+    }
+  }
+
+  /**
+   * Count the entries keys() returns, skipping expired and unreadable files
+   */
+  async size() {
+    return (await this.keys()).length;
+  }
+
+  async has(key) {
+    await this._ready;
+    const header = await this._readHeader(this._pathFor(key));
+    return Boolean(header) && header.key === key;
+  }
+}
+
+module.exports = ShardedFileAdapter;
@@ -0,0 +1,309 @@
+
+// src/adapters/single-file.js
+// Base class of the adapters keeping all their data in one file that every save rewrites
+// (FileAdapter and JsonAdapter). It handles loading and recovery, batched saves and sharing the
+// file with other processes; subclasses only decide how the content is encoded.
+const fs = require('fs').promises;
+const { writeFileAtomic, readFileWithRecovery, parseJsonObject } = require('./atomic');
+const { withLock, fileSignature } = require('./lock');
+const { encodeBinary, decodeBinary } = require('./binary');
+const SaveQueue = require('./save-queue');
+
+// Reserved top-level keys holding entry metadata and tag versions
+const META_KEY = '__meta__';
+const TAG_VERSIONS_KEY = '__tagVersions__';
+
+class SingleFileAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {Object} format - defaultFilePath, encoding of the file and name used in error messages
+   */
+  constructor(options = {}, { defaultFilePath, encoding = 'utf8', name }) {
+    this.filePath = options.filePath || defaultFilePath;
+    this.encoding = encoding;
+    this.name = name;
+    this.fsync = options.fsync || false; // Flush each save to disk before it completes
+    this.backup = options.backup !== false; // Keep the previous save as `${filePath}.bak`
+    this.onError = options.onError || (() => {});
+    // Share the file with other processes: saves hold `${filePath}.lock` and merge their changes
+    // into the latest version of the file, and reads pick up saves of other processes
+    this.locking = options.locking || false;
+    this.lockOptions = {
+      timeout: options.lockTimeout || 5000, // Longest wait for the lock (ms)
+      staleTime: options.staleLockTime || 10000 // Age after which a lock is considered abandoned (ms)
+    };
+    this.shared = this.locking;
+    this.store = new Map();
+    this.meta = new Map();
+    this.tagVersions = new Map();
+    this.saves = new SaveQueue(() => this._writeFile(), {
+      flushInterval: options.flushInterval, // Save at most this long after a change (ms)
+      flushOnIdle: options.flushOnIdle, // Save once no change was made for this long (ms)
+      onError: error => this._reportError(error)
+    });
+    this._changes = []; // Changes not yet saved, replayed on top of newer versions of a shared file
+    this._signature = null; // Version of the file the in-memory data is based on
+    this._writeCount = 0;
+    this._ready = this._loadFromFile();
+  }
+
+  /**
+   * Private: Turn the content object into the data written to the file
+   * @param {Object} content - Entries with the reserved metadata and tag version keys
+   * @returns {string}
+   */
+  _serialize(content) {
+    return JSON.stringify(content);
+  }
+
+  /**
+   * Private: Report an error that no caller is waiting for
+   * Errors thrown by the handler, as emitting 'error' without a listener does, are ignored so
+   * they can't fail loading or a timed save.
+   */
+  _reportError(error) {
+    try {
+      this.onError(error);
+    } catch (handlerError) {
+      // No 'error' listener
+    }
+  }
+
+  async _loadFromFile() {
+    if (this.locking) {
+      this._signature = await fileSignature(this.filePath);
+    }
+    const { data, error } = await readFileWithRecovery(this.filePath, parseJsonObject, {
+      encoding: this.encoding,
+      backup: this.backup
+    });
+    if (data) {
+      this._replaceData(data);
+    }
+    if (error) {
+      // A corrupted file is reported rather than silently replaced by an empty cache
+      this._reportError(error);
+    }
+  }
+
+  _replaceData(data) {
+    const { [META_KEY]: meta = {}, [TAG_VERSIONS_KEY]: tagVersions = {}, ...entries } = data;
+    this.store = new Map(Object.entries(entries).map(([key, value]) => [key, decodeBinary(value)]));
+    this.meta = new Map(Object.entries(meta));
+    this.tagVersions = new Map(Object.entries(tagVersions));
+    for (const change of this._changes) {
+      this._applyChange(change);
+    }
+  }
+
+  /**
+   * Private: Reload the file if another process saved it since this process last read or wrote it
+   */
+  async _sync() {
+    if (!this.locking) return;
+    await this._ready;
+
+    const writeCount = this._writeCount;
+    const signature = await fileSignature(this.filePath);
+    if (signature === this._signature) return;
+
+    let data = {};
+    if (signature !== null) {
+      try {
+        data = parseJsonObject(await fs.readFile(this.filePath, this.encoding));
+      } catch (error) {
+        return; // Retried on the next access
+      }
+    }
+    // A save of this process started meanwhile and already covers the file's changes
+    if (writeCount !== this._writeCount) return;
+    this._signature = signature;
+    this._replaceData(data);
+  }
+
+  /**
+   * Private: Apply a change to the in-memory data, logging it when the file is shared
+   */
+  _change(change) {
+    this._applyChange(change);
+    if (this.locking) {
+      this._changes.push(change);
+    }
+  }
+
+  _applyChange(change) {
+    switch (change.op) {
+      case 'set':
+        this.store.set(change.key, change.value);
+        if (change.meta) {
+          this.meta.set(change.key, change.meta);
+        } else {
+          this.meta.delete(change.key);
+        }
+        break;
+      case 'meta':
+        if (this.store.has(change.key)) {
+          this.meta.set(change.key, change.meta);
+        }
+        break;
+      case 'delete':
+        this.store.delete(change.key);
+        this.meta.delete(change.key);
+        break;
+      case 'tagVersion':
+        this.tagVersions.set(change.tag, (this.tagVersions.get(change.tag) || 0) + 1);
+        break;
+      case 'clear':
+        this.store.clear();
+        this.meta.clear();
+        this.tagVersions.clear();
+        break;
+    }
+  }
+
+  /**
+   * Private: Save, called by the save queue
+   */
+  async _writeFile() {
+    if (!this.locking) {
+      await this._writeData();
+      return;
+    }
+
+    await withLock(`${this.filePath}.lock`, this.lockOptions, async () => {
+      await this._sync();
+      this._writeCount++;
+      const saved = this._changes.length;
+      await this._writeData();
+      this._changes.splice(0, saved);
+      this._signature = await fileSignature(this.filePath);
+    });
+  }
+
+  /**
+   * Private: Write the current data
+   */
+  async _writeData() {
+    const content = {};
+    for (const [key, value] of this.store) {
+      content[key] = encodeBinary(value);
+    }
+    if (this.meta.size > 0) {
+      content[META_KEY] = Object.fromEntries(this.meta);
+    }
+    if (this.tagVersions.size > 0) {
+      content[TAG_VERSIONS_KEY] = Object.fromEntries(this.tagVersions);
+    }
+
+    try {
+      await writeFileAtomic(this.filePath, this._serialize(content), {
+        encoding: this.encoding,
+        fsync: this.fsync,
+        backup: this.backup
+      });
+    } catch (error) {
+      throw new Error(`Failed to save cache to ${this.name}: ${error.message}`);
+    }
+  }
+
+  async _saveToFile() {
+    await this.saves.request();
+  }
+
+  /**
+   * Write changes held back by flushInterval or flushOnIdle
+   */
+  async flush() {
+    await this._ready;
+    await this.saves.flush();
+  }
+
+  async get(key) {
+    await this._ready;
+    await this._sync();
+    return this.store.get(key);
+  }
+
+  async set(key, value, { meta = null } = {}) {
+    if (key === META_KEY || key === TAG_VERSIONS_KEY) {
+      throw new Error(`Key ${key} is reserved by the ${this.name} adapter`);
+    }
+    await this._ready;
+    this._change({ op: 'set', key, value, meta });
+    await this._saveToFile();
+    return true;
+  }
+
+  async setMeta(key, meta) {
+    await this._ready;
+    await this._sync();
+    if (!this.store.has(key)) return false;
+    this._change({ op: 'meta', key, meta });
+    await this._saveToFile();
+    return true;
+  }
+
+  async getMeta(key) {
+    await this._ready;
+    await this._sync();
+    if (!this.store.has(key)) return undefined;
+    return this.meta.get(key) || null;
+  }
+
+  async metadata() {
+    await this._ready;
+    await this._sync();
+    return Array.from(this.store.keys(), key => [key, this.meta.get(key) || null]);
+  }
+
+  async getTagVersions(tags) {
+    await this._ready;
+    await this._sync();
+    return Object.fromEntries(tags.map(tag => [tag, this.tagVersions.get(tag) || 0]));
+  }
+
+  async incrementTagVersion(tag) {
+    await this._ready;
+    await this._sync();
+    this._change({ op: 'tagVersion', tag });
+    await this._saveToFile();
+    // Includes increments of other processes merged in by the save
+    return this.tagVersions.get(tag);
+  }
+
+  async delete(key) {
+    await this._sync();
+    if (!this.store.has(key)) return false;
+    this._change({ op: 'delete', key });
+    await this._saveToFile();
+    return true;
+  }
+
+  async clear() {
+    this._change({ op: 'clear' });
+    await this._saveToFile();
+    return true;
+  }
+
+  async keys() {
+    await this._sync();
+    return Array.from(this.store.keys());
+  }
+
+  async size() {
+    await this._sync();
+    return this.store.size;
+  }
+
+  async has(key) {
+    await this._sync();
+    return this.store.has(key);
+  }
+
+  async disconnect() {
+    await this._ready;
+    await this.saves.close();
+  }
+}
+
+module.exports = SingleFileAdapter;
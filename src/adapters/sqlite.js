@@ -0,0 +1,310 @@
+
+// src/adapters/sqlite.js
+const { escapeGlob, globToLike, globToRegExp } = require('../glob');
+
+class SQLiteAdapter {
+  constructor(options = {}) {
+    this.options = {
+      filePath: options.filePath || './cache.sqlite',
+      table: options.table || 'cache_store',
+      purgeInterval: options.purgeInterval || 60000, // Interval for deleting expired rows
+      busyTimeout: options.busyTimeout || 5000, // Wait for locks held by other processes
+      ...options
+    };
+
+    this.shared = true; // Other processes on the machine may open the same database
+    this.db = null;
+    this.statements = null;
+    this.purgeTimer = null;
+    this._open();
+  }
+
+  _open() {
+    let Database;
+    try {
+      // Lazy load better-sqlite3 (optional dependency)
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error(`SQLite adapter unavailable: ${error.message}. Make sure to install better-sqlite3: npm install better-sqlite3`);
+    }
+
+    const { filePath, busyTimeout, purgeInterval } = this.options;
+    if (filePath !== ':memory:') {
+      require('fs').mkdirSync(require('path').dirname(filePath), { recursive: true });
+    }
+
+    this.db = new Database(filePath, { timeout: busyTimeout });
+    // WAL lets readers continue while a write is in progress
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.pragma('foreign_keys = ON');
+    this._createTables();
+    this._prepareStatements();
+
+    if (purgeInterval > 0) {
+      this.purgeTimer = setInterval(() => {
+        this.purgeExpired();
+      }, purgeInterval);
+      this.purgeTimer.unref();
+    }
+  }
+
+  _createTables() {
+    const { table } = this.options;
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        key TEXT PRIMARY KEY,
+        value,
+        meta TEXT,
+        expires_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS ${table}_expires_at_idx ON ${table} (expires_at);
+      CREATE TABLE IF NOT EXISTS ${table}_tags (
+        tag TEXT NOT NULL,
+        key TEXT NOT NULL REFERENCES ${table} (key) ON DELETE CASCADE,
+        PRIMARY KEY (tag, key)
+      );
+      CREATE INDEX IF NOT EXISTS ${table}_tags_key_idx ON ${table}_tags (key);
+      CREATE TABLE IF NOT EXISTS ${table}_tag_versions (
+        tag TEXT PRIMARY KEY,
+        version INTEGER NOT NULL
+      );
+    `);
+  }
+
+  _prepareStatements() {
+    const { table } = this.options;
+    const notExpired = '(expires_at IS NULL OR expires_at > @now)';
+    const statements = {
+      get: `SELECT value FROM ${table} WHERE key = @key AND ${notExpired}`,
+      has: `SELECT 1 FROM ${table} WHERE key = @key AND ${notExpired}`,
+      set: `INSERT INTO ${table} (key, value, meta, expires_at) VALUES (@key, @value, @meta, @expiresAt)
+            ON CONFLICT (key) DO UPDATE SET value = @value, meta = @meta, expires_at = @expiresAt`,
+      setMeta: `UPDATE ${table} SET meta = @meta WHERE key = @key`,
+      expire: `UPDATE ${table} SET expires_at = @expiresAt WHERE key = @key`,
+      delete: `DELETE FROM ${table} WHERE key = @key`,
+      purge: `DELETE FROM ${table} WHERE expires_at <= @now`,
+      getMeta: `SELECT meta FROM ${table} WHERE key = @key AND ${notExpired}`,
+      metadata: `SELECT key, meta FROM ${table} WHERE ${notExpired}`,
+      keys: `SELECT key FROM ${table} WHERE ${notExpired}`,
+      size: `SELECT COUNT(*) AS count FROM ${table} WHERE ${notExpired}`,
+      scan: `SELECT key FROM ${table}
+             WHERE key LIKE @like ESCAPE '\\' AND (@lastKey IS NULL OR key > @lastKey) AND ${notExpired}
+             ORDER BY key LIMIT @count`,
+      clearTags: `DELETE FROM ${table}_tags WHERE key = @key`,
+      addTag: `INSERT OR IGNORE INTO ${table}_tags (tag, key) VALUES (@tag, @key)`,
+      deleteByTag: `DELETE FROM ${table} WHERE key IN (
+                      SELECT key FROM ${table}_tags WHERE tag = @tag OR tag LIKE @children ESCAPE '\\'
+                    ) RETURNING key, value`,
+      getTagVersion: `SELECT version FROM ${table}_tag_versions WHERE tag = @tag`,
+      incrementTagVersion: `INSERT INTO ${table}_tag_versions (tag, version) VALUES (@tag, 1)
+                            ON CONFLICT (tag) DO UPDATE SET version = version + 1
+                            RETURNING version`,
+      clear: `DELETE FROM ${table}`,
+      clearTagVersions: `DELETE FROM ${table}_tag_versions`
+    };
+
+    this.statements = {};
+    for (const [name, sql] of Object.entries(statements)) {
+      this.statements[name] = this.db.prepare(sql);
+    }
+
+    this._write = this.db.transaction((key, value, meta, expiresAt) => {
+      this.statements.set.run({ key, value, meta, expiresAt });
+      this._writeTags(key, meta);
+    });
+    this._writeMeta = this.db.transaction((key, meta) => {
+      const { changes } = this.statements.setMeta.run({ key, meta });
+      if (changes > 0) {
+        this._writeTags(key, meta);
+      }
+      return changes > 0;
+    });
+    this._clear = this.db.transaction(() => {
+      this.statements.clear.run();
+      this.statements.clearTagVersions.run();
+    });
+  }
+
+  _writeTags(key, meta) {
+    this.statements.clearTags.run({ key });
+    const tags = meta ? JSON.parse(meta).tags : null;
+    for (const tag of tags || []) {
+      this.statements.addTag.run({ tag, key });
+    }
+  }
+
+  // Buffers are stored as BLOBs, everything else as JSON text
+  _encodeValue(value) {
+    return Buffer.isBuffer(value) ? value : JSON.stringify(value);
+  }
+
+  _decodeValue(value) {
+    return Buffer.isBuffer(value) ? value : JSON.parse(value);
+  }
+
+  _expiresAt(ttl) {
+    return ttl > 0 ? Date.now() + ttl : null;
+  }
+
+  /**
+   * Delete expired rows
+   * @returns {number} Number of deleted rows
+   */
+  purgeExpired() {
+    try {
+      return this.statements.purge.run({ now: Date.now() }).changes;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  async get(key) {
+    try {
+      const row = this.statements.get.get({ key, now: Date.now() });
+      return row ? this._decodeValue(row.value) : undefined;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  async set(key, value, { ttl = 0, meta = null } = {}) {
+    try {
+      this._write(key, this._encodeValue(value), meta ? JSON.stringify(meta) : null, this._expiresAt(ttl));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async setMeta(key, meta) {
+    try {
+      return this._writeMeta(key, JSON.stringify(meta));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async expire(key, ttl) {
+    try {
+      return this.statements.expire.run({ key, expiresAt: this._expiresAt(ttl) }).changes > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async getMeta(key) {
+    const row = this.statements.getMeta.get({ key, now: Date.now() });
+    if (!row) return undefined;
+    return row.meta ? JSON.parse(row.meta) : null;
+  }
+
+  async metadata() {
+    return this.statements.metadata.all({ now: Date.now() })
+      .map(row => [row.key, row.meta ? JSON.parse(row.meta) : null]);
+  }
+
+  async getTagVersions(tags) {
+    return Object.fromEntries(tags.map(tag => {
+      const row = this.statements.getTagVersion.get({ tag });
+      return [tag, row ? row.version : 0];
+    }));
+  }
+
+  async incrementTagVersion(tag) {
+    return this.statements.incrementTagVersion.get({ tag }).version;
+  }
+
+  /**
+   * Delete the rows of a tag and its child tags in one statement
+   * @param {string} tag - Tag name
+   * @param {Object} options - separator between parent and child tags
+   * @returns {Array<[string, *]>} Deleted keys with their stored values
+   */
+  async deleteByTag(tag, { separator = '/' } = {}) {
+    const { like: children } = globToLike(`${escapeGlob(`${tag}${separator}`)}*`);
+    return this.statements.deleteByTag.all({ tag, children })
+      .map(row => [row.key, this._decodeValue(row.value)]);
+  }
+
+  async delete(key) {
+    try {
+      return this.statements.delete.run({ key }).changes > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async clear() {
+    try {
+      this._clear();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async keys() {
+    try {
+      return this.statements.keys.all({ now: Date.now() }).map(row => row.key);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Iterate over keys matching a glob pattern, in key order
+   * @param {Object} options - match (glob pattern) and count (rows per query)
+   */
+  async *scan({ match = '*', count = 100 } = {}) {
+    const { like } = globToLike(match);
+    // SQLite's LIKE ignores ASCII case and can't express character classes, so rows are filtered again here
+    const matches = globToRegExp(match);
+    let lastKey = null;
+
+    while (true) {
+      let rows;
+      try {
+        rows = this.statements.scan.all({ like, lastKey, count, now: Date.now() });
+      } catch (error) {
+        return;
+      }
+
+      for (const row of rows) {
+        if (matches.test(row.key)) {
+          yield row.key;
+        }
+      }
+      if (rows.length < count) return;
+      lastKey = rows[rows.length - 1].key;
+    }
+  }
+
+  async size() {
+    try {
+      return this.statements.size.get({ now: Date.now() }).count;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  async has(key) {
+    try {
+      return Boolean(this.statements.has.get({ key, now: Date.now() }));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async disconnect() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+    if (this.db && this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = SQLiteAdapter;
@@ -0,0 +1,323 @@
+
+// src/adapters/tiered.js
+const LRUPolicy = require('../policies/lru');
+const { createMatcher } = require('../glob');
+
+class TieredAdapter {
+  constructor(l2, options = {}) {
+    this.l2 = l2;
+    this.options = {
+      maxSize: options.maxSize || 100,
+      ttl: options.ttl || 0, // 0 = keep in L1 until evicted
+      writeMode: options.writeMode || 'through', // 'through' or 'behind'
+      writeBehindDelay: options.writeBehindDelay || 100,
+      onError: options.onError || (() => {}),
+      ...options
+    };
+
+    if (!['through', 'behind'].includes(this.options.writeMode)) {
+      throw new Error(`Unsupported write mode: ${this.options.writeMode}`);
+    }
+
+    this.l1 = new Map(); // key -> { value, expiresAt }
+    this.lru = new LRUPolicy();
+    this.pending = new Map(); // Write-behind queue: key -> { value, options }
+    this.writing = new Map(); // key -> write-behind to L2 in progress
+    this.flushTimer = null;
+    this.stats = {
+      l1Hits: 0,
+      l1Misses: 0,
+      l2Hits: 0,
+      l2Misses: 0
+    };
+  }
+
+  // L1 is local, so sharing depends on L2
+  get shared() {
+    return Boolean(this.l2.shared);
+  }
+
+  _promote(key, value) {
+    if (!this.l1.has(key) && this.l1.size >= this.options.maxSize) {
+      const victimKey = this.lru.victim();
+      if (victimKey !== undefined) {
+        this._demote(victimKey);
+      }
+    }
+
+    const expiresAt = this.options.ttl > 0 ? Date.now() + this.options.ttl : null;
+    this.l1.set(key, { value, expiresAt });
+    this.lru.onInsert(key);
+  }
+
+  _demote(key) {
+    this.l1.delete(key);
+    this.lru.onRemove(key);
+  }
+
+  _scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this._writePending();
+    }, this.options.writeBehindDelay);
+  }
+
+  /**
+   * Write queued write-behind entries to L2, and changes L2 itself holds back
+   */
+  async flush() {
+    await this._writePending();
+    if (typeof this.l2.flush === 'function') {
+      await this.l2.flush();
+    }
+  }
+
+  /**
+   * Private: Write queued write-behind entries to L2
+   */
+  async _writePending() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const writes = Array.from(this.pending.entries(), ([key, { value, options }]) => {
+      // Writes of a key reach L2 in order
+      const previous = this.writing.get(key) || Promise.resolve();
+      const write = previous.then(() => this._writeBehind(key, value, options));
+      this.writing.set(key, write);
+      write.then(() => {
+        if (this.writing.get(key) === write) {
+          this.writing.delete(key);
+        }
+      });
+      return write;
+    });
+    this.pending.clear();
+
+    await Promise.all(writes);
+  }
+
+  /**
+   * Private: Write one queued entry to L2, reporting failures since no caller waits for them
+   */
+  async _writeBehind(key, value, options) {
+    let error = null;
+    try {
+      if (await this.l2.set(key, value, options) === false) {
+        error = new Error(`Write-behind of ${key} to L2 failed`);
+      }
+    } catch (writeError) {
+      error = writeError;
+    }
+    if (!error) return;
+
+    try {
+      this.options.onError(error);
+    } catch (handlerError) {
+      // No 'error' listener
+    }
+  }
+
+  /**
+   * Private: L1 entry of a key, dropping it once its L1 TTL is over
+   */
+  _l1Entry(key) {
+    const entry = this.l1.get(key);
+    if (entry && entry.expiresAt && Date.now() > entry.expiresAt) {
+      this._demote(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this._l1Entry(key);
+    if (entry) {
+      this.stats.l1Hits++;
+      this.lru.onAccess(key);
+      return entry.value;
+    }
+    this.stats.l1Misses++;
+
+    // Evicted from L1 before its write-behind reached L2
+    if (this.pending.has(key)) {
+      this.stats.l2Hits++;
+      return this.pending.get(key).value;
+    }
+
+    const value = await this.l2.get(key);
+    if (value === undefined) {
+      this.stats.l2Misses++;
+      return undefined;
+    }
+
+    this.stats.l2Hits++;
+    this._promote(key, value);
+    return value;
+  }
+
+  async set(key, value, options = {}) {
+    this._promote(key, value);
+
+    if (this.options.writeMode === 'behind') {
+      this.pending.set(key, { value, options: { ...options } });
+      this._scheduleFlush();
+      return true;
+    }
+
+    return this.l2.set(key, value, options);
+  }
+
+  async setMeta(key, meta) {
+    const queued = this.pending.get(key);
+    if (queued) {
+      queued.options.meta = meta;
+      return true;
+    }
+    if (typeof this.l2.setMeta !== 'function') return false;
+    return this.l2.setMeta(key, meta);
+  }
+
+  async expire(key, ttl) {
+    const queued = this.pending.get(key);
+    if (queued) {
+      queued.options.ttl = ttl;
+      return true;
+    }
+    if (typeof this.l2.expire !== 'function') return false;
+    return this.l2.expire(key, ttl);
+  }
+
+  async getTagVersions(tags) {
+    if (typeof this.l2.getTagVersions !== 'function') return null;
+    return this.l2.getTagVersions(tags);
+  }
+
+  async incrementTagVersion(tag) {
+    if (typeof this.l2.incrementTagVersion !== 'function') return null;
+    return this.l2.incrementTagVersion(tag);
+  }
+
+  async deleteByTag(tag, options) {
+    if (typeof this.l2.deleteByTag !== 'function') return null;
+    await this._writePending();
+    const deleted = await this.l2.deleteByTag(tag, options);
+    for (const [key] of deleted || []) {
+      this._demote(key);
+    }
+    return deleted;
+  }
+
+  async getMeta(key) {
+    const queued = this.pending.get(key);
+    if (queued) return queued.options.meta || null;
+    if (typeof this.l2.getMeta !== 'function') return undefined;
+    return this.l2.getMeta(key);
+  }
+
+  async metadata() {
+    await this._writePending();
+    if (typeof this.l2.metadata !== 'function') return [];
+    return this.l2.metadata();
+  }
+
+  async delete(key) {
+    this._demote(key);
+    this.pending.delete(key);
+    // A write-behind already on its way to L2 would bring the key back
+    await this.writing.get(key);
+    return this.l2.delete(key);
+  }
+
+  async clear() {
+    this.l1.clear();
+    this.lru.clear();
+    this.pending.clear();
+    await Promise.all(this.writing.values());
+    return this.l2.clear();
+  }
+
+  /**
+   * Drop a key from L1 after another process changed it in L2
+   */
+  invalidate(key) {
+    this._demote(key);
+  }
+
+  invalidateAll() {
+    this.l1.clear();
+    this.lru.clear();
+  }
+
+  async keys() {
+    await this._writePending();
+    return this.l2.keys();
+  }
+
+  async *scan(options = {}) {
+    await this._writePending();
+    if (typeof this.l2.scan === 'function') {
+      yield* this.l2.scan(options);
+      return;
+    }
+
+    const matches = createMatcher(options.match || '*');
+    for (const key of await this.l2.keys()) {
+      if (matches(key)) {
+        yield key;
+      }
+    }
+  }
+
+  async size() {
+    await this._writePending();
+    return this.l2.size();
+  }
+
+  async has(key) {
+    if (this._l1Entry(key) || this.pending.has(key)) return true;
+    return this.l2.has(key);
+  }
+
+  /**
+   * Get hit statistics per tier
+   * @returns {Object}
+   */
+  getStats() {
+    const { l1Hits, l1Misses, l2Hits, l2Misses } = this.stats;
+    return {
+      l1: {
+        hits: l1Hits,
+        misses: l1Misses,
+        hitRate: l1Hits / (l1Hits + l1Misses) || 0,
+        size: this.l1.size
+      },
+      l2: {
+        hits: l2Hits,
+        misses: l2Misses,
+        hitRate: l2Hits / (l2Hits + l2Misses) || 0,
+        pendingWrites: this.pending.size
+      }
+    };
+  }
+
+  resetStats() {
+    this.stats = {
+      l1Hits: 0,
+      l1Misses: 0,
+      l2Hits: 0,
+      l2Misses: 0
+    };
+  }
+
+  async disconnect() {
+    await this.flush();
+    if (typeof this.l2.disconnect === 'function') {
+      await this.l2.disconnect();
+    }
+  }
+}
+
+module.exports = TieredAdapter;
@@ -0,0 +1,9 @@
+
+// src/buses/index.js
+const MemoryInvalidationBus = require('./memory');
+const RedisInvalidationBus = require('./redis');
+
+module.exports = {
+  MemoryInvalidationBus,
+  RedisInvalidationBus,
+};
@@ -0,0 +1,31 @@
+
+// src/buses/memory.js
+// In-process invalidation bus, shared by caches in the same process
+class MemoryInvalidationBus {
+  constructor() {
+    this.handlers = new Set();
+  }
+  
+  async publish(message) {
+    // Deliver asynchronously, like a network bus
+    for (const handler of this.handlers) {
+      setImmediate(() => handler(message));
+    }
+    return true;
+  }
+  
+  async subscribe(handler) {
+    this.handlers.add(handler);
+    return true;
+  }
+  
+  async unsubscribe(handler) {
+    return this.handlers.delete(handler);
+  }
+  
+  async close() {
+    this.handlers.clear();
+  }
+}
+
+module.exports = MemoryInvalidationBus;
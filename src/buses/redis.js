@@ -0,0 +1,66 @@
+
+// src/buses/redis.js
+// Invalidation bus over Redis pub/sub, sharing the connection of a RedisAdapter
+class RedisInvalidationBus {
+  constructor(adapter, options = {}) {
+    this.adapter = adapter;
+    this.channel = options.channel || `${adapter.options.keyPrefix}invalidation`;
+    this.handlers = new Set();
+    this.subscriber = null;
+    this._subscribed = null;
+  }
+  
+  async _connectSubscriber() {
+    if (!this.adapter._connected) await this.adapter._connect();
+    
+    try {
+      // A subscribed connection cannot issue other commands, so use a duplicate
+      this.subscriber = this.adapter.client.duplicate();
+      await this.subscriber.connect();
+      await this.subscriber.subscribe(this.channel, raw => {
+        let message;
+        try {
+          message = JSON.parse(raw);
+        } catch (error) {
+          return; // Ignore messages not published by EasyCache
+        }
+        for (const handler of this.handlers) {
+          handler(message);
+        }
+      });
+    } catch (error) {
+      this._subscribed = null;
+      throw new Error(`Redis subscription failed: ${error.message}`);
+    }
+  }
+  
+  async publish(message) {
+    if (!this.adapter._connected) await this.adapter._connect();
+    await this.adapter.client.publish(this.channel, JSON.stringify(message));
+    return true;
+  }
+  
+  async subscribe(handler) {
+    this.handlers.add(handler);
+    if (!this._subscribed) {
+      this._subscribed = this._connectSubscriber();
+    }
+    await this._subscribed;
+    return true;
+  }
+  
+  async unsubscribe(handler) {
+    return this.handlers.delete(handler);
+  }
+  
+  async close() {
+    this.handlers.clear();
+    if (this.subscriber) {
+      await this.subscriber.disconnect();
+      this.subscriber = null;
+      this._subscribed = null;
+    }
+  }
+}
+
+module.exports = RedisInvalidationBus;
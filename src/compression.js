@@ -0,0 +1,122 @@
+
+// src/compression.js
+// Compresses serialized values with zlib. Compressed payloads are stored as a header
+// character naming the algorithm followed by base64, so they stay valid strings for every
+// adapter, and values stored without compression (small ones, or written before compression
+// was enabled) are read back unchanged. Buffers from binary serializers get a header of their
+// own so they decompress to Buffers again.
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const ALGORITHMS = {
+  gzip: { header: '\u0001', binaryHeader: '\u0004', compress: promisify(zlib.gzip), decompress: promisify(zlib.gunzip) },
+  deflate: { header: '\u0002', binaryHeader: '\u0005', compress: promisify(zlib.deflate), decompress: promisify(zlib.inflate) },
+  brotli: { header: '\u0003', binaryHeader: '\u0006', compress: promisify(zlib.brotliCompress), decompress: promisify(zlib.brotliDecompress) }
+};
+
+// header -> [algorithm, whether the input was a Buffer]
+const BY_HEADER = new Map(Object.values(ALGORITHMS).flatMap(algorithm => [
+  [algorithm.header, [algorithm, false]],
+  [algorithm.binaryHeader, [algorithm, true]]
+]));
+
+function createCompressionStats() {
+  return {
+    compressed: 0, // Values stored compressed
+    skipped: 0, // Values below the threshold or that didn't shrink
+    decompressed: 0,
+    bytesIn: 0, // Serialized size of compressed values
+    bytesOut: 0, // Stored size of compressed values
+    compressTime: 0, // Milliseconds
+    decompressTime: 0
+  };
+}
+
+class Compressor {
+  /**
+   * @param {string|Object} options - Algorithm name, or algorithm, threshold (bytes) and level
+   */
+  constructor(options) {
+    const config = typeof options === 'string' ? { algorithm: options } : { ...options };
+    this.algorithm = config.algorithm || 'gzip';
+    this.threshold = config.threshold !== undefined ? config.threshold : 1024;
+    this.level = config.level;
+
+    if (!ALGORITHMS[this.algorithm]) {
+      throw new Error(`Unsupported compression algorithm: ${this.algorithm}`);
+    }
+    this.stats = createCompressionStats();
+  }
+
+  _zlibOptions() {
+    if (this.level === undefined) return {};
+    if (this.algorithm === 'brotli') {
+      return { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: this.level } };
+    }
+    return { level: this.level };
+  }
+
+  /**
+   * Compress a serialized value if it is large enough and actually shrinks
+   * @param {*} serialized - Output of the serialize option
+   * @returns {*} The value to store
+   */
+  async compress(serialized) {
+    if (typeof serialized !== 'string' && !Buffer.isBuffer(serialized)) return serialized;
+
+    const input = Buffer.isBuffer(serialized) ? serialized : Buffer.from(serialized);
+    if (input.length < this.threshold) {
+      this.stats.skipped++;
+      return serialized;
+    }
+
+    const algorithm = ALGORITHMS[this.algorithm];
+    const startedAt = process.hrtime.bigint();
+    const compressed = await algorithm.compress(input, this._zlibOptions());
+    this.stats.compressTime += Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+    const header = Buffer.isBuffer(serialized) ? algorithm.binaryHeader : algorithm.header;
+    const payload = `${header}${compressed.toString('base64')}`;
+    if (payload.length >= input.length) {
+      this.stats.skipped++;
+      return serialized;
+    }
+
+    this.stats.compressed++;
+    this.stats.bytesIn += input.length;
+    this.stats.bytesOut += payload.length;
+    return payload;
+  }
+
+  /**
+   * Restore a stored value to its serialized form
+   * @param {*} stored - Value read from storage
+   * @returns {*} Input for the deserialize option
+   */
+  async decompress(stored) {
+    const match = typeof stored === 'string' ? BY_HEADER.get(stored[0]) : undefined;
+    if (!match) return stored;
+
+    const [algorithm, binary] = match;
+    const startedAt = process.hrtime.bigint();
+    const output = await algorithm.decompress(Buffer.from(stored.slice(1), 'base64'));
+    this.stats.decompressTime += Number(process.hrtime.bigint() - startedAt) / 1e6;
+    this.stats.decompressed++;
+    return binary ? output : output.toString();
+  }
+
+  getStats() {
+    const { bytesIn, bytesOut } = this.stats;
+    return {
+      algorithm: this.algorithm,
+      ...this.stats,
+      ratio: bytesIn > 0 ? bytesOut / bytesIn : 1
+    };
+  }
+
+  resetStats() {
+    this.stats = createCompressionStats();
+  }
+}
+
+module.exports = Compressor;
@@ -1,7 +1,32 @@
 
 // src/easycache.js
 const EventEmitter = require('events');
-const { MemoryAdapter, FileAdapter, JsonAdapter, RedisAdapter, PostgreSQLAdapter } = require('./adapters');
+const crypto = require('crypto');
+const { MemoryAdapter, FileAdapter, JsonAdapter, PatchAdapter, ShardedFileAdapter, RedisAdapter, PostgreSQLAdapter, SQLiteAdapter, TieredAdapter } = require('./adapters');
+const { MemoryInvalidationBus, RedisInvalidationBus } = require('./buses');
+const { LRUPolicy, LFUPolicy, FIFOPolicy, TinyLFUPolicy } = require('./policies');
+const CacheNamespace = require('./namespace');
+const { createMatcher } = require('./glob');
+const { encodeHeader, encodeEntry, readSnapshot } = require('./snapshot');
+const { MetricsRegistry, Histogram } = require('./metrics');
+const Compressor = require('./compression');
+const Encryptor = require('./encryption');
+const serializers = require('./serializers');
+
+// Methods a custom eviction policy must implement, onMiss(key) is optional
+const POLICY_METHODS = ['onInsert', 'onAccess', 'onRemove', 'victim', 'clear'];
+
+// Counters kept per tag, see getStatsByTag()
+function createTagStats() {
+  return {
+    hits: 0,
+    misses: 0,
+    sets: 0,
+    deletes: 0,
+    evictions: 0,
+    expirations: 0
+  };
+}
 
 class EasyCache extends EventEmitter {
   constructor(options = {}) {
@@ -9,26 +34,45 @@ class EasyCache extends EventEmitter {
     
     this.options = {
       maxSize: options.maxSize || 1000,
+      maxBytes: options.maxBytes || 0, // 0 = no byte limit
+      sizeOf: options.sizeOf || null, // Custom entry size function (value, serialized) => bytes
       defaultTTL: options.defaultTTL || 0, // 0 = no expiration
       slidingTTL: options.slidingTTL || false, // Extend TTL on access
       checkInterval: options.checkInterval || 60000, // 60 seconds
       enableStats: options.enableStats !== false,
       staleWhileRevalidate: options.staleWhileRevalidate || false,
+      staleTTL: options.staleTTL || 60000, // How long expired values are served while revalidating
       storage: options.storage || 'memory',
       storageOptions: options.storageOptions || {},
-      serialize: options.serialize || JSON.stringify,
+      serialize: options.serialize || JSON.stringify, // Function, or 'json', 'structured' or 'structured-binary'
       deserialize: options.deserialize || JSON.parse,
       maxEntriesPerTag: options.maxEntriesPerTag || {},
+      tagSeparator: options.tagSeparator || '/', // Separates parent and child tags, as in 'tenant:42/orders'
+      tagVersioning: options.tagVersioning || false, // Invalidate tags by bumping versions kept in storage
+      compression: options.compression || null, // 'gzip', 'deflate', 'brotli' or { algorithm, threshold, level }
+      encryption: options.encryption || null, // AES-256-GCM keyring: { keys: { id: key }, currentKeyId }
+      evictionPolicy: options.evictionPolicy || 'lru',
+      l1: options.l1 || null, // In-process tier in front of storage
+      invalidationBus: options.invalidationBus || null, // Broadcasts invalidations to other processes
       ...options
     };
     
-    // Initialize storage adapter
+    // Initialize storage adapter and eviction policy
     this._initializeStorage();
+    this._initializePolicy();
+    this._initializeSerializer();
+    this.compressor = this.options.compression ? new Compressor(this.options.compression) : null;
+    this.encryptor = this.options.encryption ? new Encryptor(this.options.encryption) : null;
     
     this.cache = new Map(); // Memory layer for TTL and metadata
     this.timers = new Map();
-    this.accessOrder = new Map(); // for LRU
     this.tagsMap = new Map(); // Map to store tags and their associated keys
+    this.inFlight = new Map(); // Pending loader promises for request coalescing
+    this.writes = new Map(); // key -> storage writes in progress
+    this.loaders = new Map(); // Loaders registered by getOrSet, used for revalidation
+    this.bytes = 0; // Total size of cached entries
+    this.namespaces = new Map(); // Namespace views by name
+    this.wrapPrefixes = new Map(); // Default wrap() key prefix -> wrapped function
     this.stats = {
       hits: 0,
       misses: 0,
@@ -36,8 +80,11 @@ class EasyCache extends EventEmitter {
       deletes: 0,
       evictions: 0,
       totalAccesses: 0,
-      totalExpired: 0
+      totalExpired: 0,
+      coalesced: 0
     };
+    this.tagStats = new Map(); // tag -> counters, kept after the tag's entries are gone
+    this.tagVersions = new Map(); // Tag versions for adapters that can't store them
     
     // Start cleanup interval
     if (this.options.checkInterval > 0) {
@@ -45,20 +92,33 @@ class EasyCache extends EventEmitter {
         this._cleanup();
       }, this.options.checkInterval);
     }
+
+    // Rebuild metadata, tags and timers from persistent storage
+    this._ready = this._restore();
+
+    // Listen for invalidations from other processes
+    this.instanceId = crypto.randomBytes(8).toString('hex');
+    this._initializeInvalidationBus();
   }
 
   _initializeStorage() {
     const { storage, storageOptions } = this.options;
     
-    switch (storage.toLowerCase()) {
+    switch (typeof storage === 'string' ? storage.toLowerCase() : storage) {
       case 'memory':
         this.storage = new MemoryAdapter(storageOptions);
         break;
       case 'file':
-        this.storage = new FileAdapter(storageOptions);
+        this.storage = new FileAdapter({ onError: error => this.emit('error', error), ...storageOptions });
         break;
       case 'json':
-        this.storage = new JsonAdapter(storageOptions);
+        this.storage = new JsonAdapter({ onError: error => this.emit('error', error), ...storageOptions });
+        break;
+      case 'patch':
+        this.storage = new PatchAdapter(storageOptions);
+        break;
+      case 'fs-sharded':
+        this.storage = new ShardedFileAdapter(storageOptions);
         break;
       case 'redis':
         this.storage = new RedisAdapter(storageOptions);
@@ -67,6 +127,9 @@ class EasyCache extends EventEmitter {
       case 'postgres':
         this.storage = new PostgreSQLAdapter(storageOptions);
         break;
+      case 'sqlite':
+        this.storage = new SQLiteAdapter(storageOptions);
+        break;
       default:
         if (typeof storage === 'object' && storage.get && storage.set) {
           // Custom adapter
@@ -75,125 +138,708 @@ class EasyCache extends EventEmitter {
           throw new Error(`Unsupported storage type: ${storage}`);
         }
     }
+
+    // Keep hot entries in process in front of the configured storage
+    if (this.options.l1) {
+      this.storage = new TieredAdapter(this.storage, {
+        ...this.options.l1,
+        onError: error => this.emit('error', error)
+      });
+    }
+  }
+
+  _initializePolicy() {
+    const { evictionPolicy, maxSize } = this.options;
+
+    switch (typeof evictionPolicy === 'string' ? evictionPolicy.toLowerCase() : evictionPolicy) {
+      case 'lru':
+        this.policy = new LRUPolicy();
+        break;
+      case 'lfu':
+        this.policy = new LFUPolicy();
+        break;
+      case 'fifo':
+        this.policy = new FIFOPolicy();
+        break;
+      case 'tinylfu':
+      case 'w-tinylfu':
+        this.policy = new TinyLFUPolicy({ maxSize });
+        break;
+      default: {
+        if (!evictionPolicy || typeof evictionPolicy !== 'object') {
+          throw new Error(`Unsupported eviction policy: ${evictionPolicy}`);
+        }
+        // Custom policy, which must implement every method the cache calls
+        const missing = POLICY_METHODS.filter(method => typeof evictionPolicy[method] !== 'function');
+        if (missing.length > 0) {
+          throw new Error(`Custom eviction policy is missing: ${missing.join(', ')}`);
+        }
+        this.policy = evictionPolicy;
+      }
+    }
+  }
+
+  _initializeSerializer() {
+    const { serialize } = this.options;
+    if (typeof serialize !== 'string') return;
+
+    const serializer = Object.prototype.hasOwnProperty.call(serializers, serialize) ? serializers[serialize] : null;
+    if (!serializer || !serializer.serialize) {
+      throw new Error(`Unsupported serializer: ${serialize}`);
+    }
+    this.options.serialize = serializer.serialize;
+    this.options.deserialize = serializer.deserialize;
+  }
+
+  _initializeInvalidationBus() {
+    const { invalidationBus } = this.options;
+    if (!invalidationBus) return;
+
+    if (invalidationBus === 'redis') {
+      const redisAdapter = this.storage instanceof TieredAdapter ? this.storage.l2 : this.storage;
+      if (!(redisAdapter instanceof RedisAdapter)) {
+        throw new Error('Redis invalidation bus requires redis storage');
+      }
+      this.invalidationBus = new RedisInvalidationBus(redisAdapter);
+      this._ownsInvalidationBus = true;
+    } else if (typeof invalidationBus === 'object' && invalidationBus.publish && invalidationBus.subscribe) {
+      // Custom or shared bus
+      this.invalidationBus = invalidationBus;
+      this._ownsInvalidationBus = false;
+    } else {
+      throw new Error(`Unsupported invalidation bus: ${invalidationBus}`);
+    }
+
+    this._invalidationHandler = message => this._onInvalidation(message);
+    this.invalidationBus.subscribe(this._invalidationHandler).catch(error => {
+      this.emit('error', error);
+    });
   }
 
   /**
-   * Set cache value
-   * @param {string} key - Cache key
-   * @param {*} value - Cache value
-   * @param {number} ttl - Time to live in milliseconds
-   * @returns {boolean} Success status
+   * Private: Publish an invalidation to other processes
    */
-  async set(key, value, ttl = null, tags = [], condition = null) {
+  _broadcast(message) {
+    if (!this.invalidationBus) return;
+
+    this.invalidationBus.publish({ ...message, source: this.instanceId }).catch(error => {
+      this.emit('error', error);
+    });
+  }
+
+  /**
+   * Private: Apply an invalidation published by another process
+   * Shared storage was already updated by the publisher, so only local state is dropped.
+   */
+  async _onInvalidation(message) {
+    if (!message || message.source === this.instanceId) return;
+
     try {
-      // If a condition function is provided, evaluate it
-      if (typeof condition === 'function' && !condition(key, value)) {
-        return false; // Do not cache if condition is false
-      }
-
-      // If item already exists, remove its old tags from tagsMap
-      const existingItem = this.cache.get(key);
-      if (existingItem && existingItem.tags && existingItem.tags.length > 0) {
-        for (const tag of existingItem.tags) {
-          const keysForTag = this.tagsMap.get(tag);
-          if (keysForTag) {
-            keysForTag.delete(key);
-            if (keysForTag.size === 0) {
-              this.tagsMap.delete(tag);
+      await this._ready;
+      const shared = Boolean(this.storage.shared);
+
+      switch (message.type) {
+        case 'delete':
+          await this._invalidateKey(message.key, shared);
+          break;
+        case 'tag': {
+          const keys = Array.from(this._keysForTag(message.tag));
+          await Promise.all(keys.map(key => this._invalidateKey(key, shared)));
+          break;
+        }
+        case 'tags': {
+          const keys = Array.from(this._keysForTags(message.query));
+          await Promise.all(keys.map(key => this._invalidateKey(key, shared)));
+          break;
+        }
+        case 'pattern': {
+          const pattern = message.regexp
+            ? new RegExp(message.regexp.source, message.regexp.flags)
+            : message.pattern;
+          const keys = Array.from(this.cache.keys()).filter(createMatcher(pattern));
+          await Promise.all(keys.map(key => this._invalidateKey(key, shared)));
+          break;
+        }
+        case 'clear':
+          if (shared) {
+            this._forgetAll();
+            if (typeof this.storage.invalidateAll === 'function') {
+              this.storage.invalidateAll();
             }
+          } else {
+            await this._clearItems();
           }
+          break;
+        default:
+          return;
+      }
+
+      this.emit('invalidated', message);
+    } catch (error) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Private: Drop a key invalidated by another process
+   */
+  async _invalidateKey(key, shared) {
+    if (!shared) {
+      await this._deleteItem(key);
+      return;
+    }
+    this._forget(key);
+    if (typeof this.storage.invalidate === 'function') {
+      this.storage.invalidate(key);
+    }
+  }
+
+  /**
+   * Private: Restore entry metadata from storage
+   * Entries stored without metadata are adopted without expiration.
+   */
+  async _restore() {
+    if (typeof this.storage.metadata !== 'function') return;
+
+    try {
+      const entries = await this.storage.metadata();
+      const now = Date.now();
+      let restored = 0;
+
+      for (const [key, meta] of entries) {
+        if (this.cache.has(key)) continue;
+
+        if (meta && meta.expiresAt && now >= meta.expiresAt) {
+          await this.storage.delete(key);
+          this._recordExpiration(key, meta);
+          continue;
         }
+
+        this._track(key, meta, now);
+        restored++;
       }
 
-      // Check if we need to evict items (LRU)
-      if (this.cache.size >= this.options.maxSize && !this.cache.has(key)) {
-        await this._evictLRU();
+      // Limits may have been lowered since the entries were stored
+      const { maxSize, maxBytes } = this.options;
+      while (this.cache.size > maxSize || (maxBytes > 0 && this.bytes > maxBytes)) {
+        const countBefore = this.cache.size;
+        if (!(await this._evict()) || this.cache.size === countBefore) break;
       }
 
-      // Clear existing timer if exists
-      if (this.timers.has(key)) {
-        clearTimeout(this.timers.get(key));
-        this.timers.delete(key);
+      if (restored > 0) {
+        this.emit('restore', restored);
+      }
+    } catch (error) {
+      // The cache starts without the remaining stored metadata rather than failing every call
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
       }
+    }
+  }
 
-      // Calculate TTL
-      const effectiveTTL = ttl !== null ? ttl : this.options.defaultTTL;
-      const expiresAt = effectiveTTL > 0 ? Date.now() + effectiveTTL : null;
+  /**
+   * Private: Track an entry found in storage, from its stored metadata
+   * @returns {Object} The cache item
+   */
+  _track(key, meta, now = Date.now()) {
+    const cacheItem = {
+      createdAt: meta ? meta.createdAt : now,
+      expiresAt: meta ? meta.expiresAt : null,
+      accessCount: meta ? meta.accessCount : 0,
+      tags: meta && Array.isArray(meta.tags) ? meta.tags : [],
+      size: meta && meta.size ? meta.size : 0,
+      ...(meta && meta.tagVersions && { tagVersions: meta.tagVersions })
+    };
 
-      // Store value in external storage
-      await this.storage.set(key, this.options.serialize(value));
+    this.cache.set(key, cacheItem);
+    this.bytes += cacheItem.size;
+    this.policy.onInsert(key, cacheItem);
+    this._indexTags(key, cacheItem.tags);
 
-      // Store metadata in memory
-      const cacheItem = {
-        createdAt: Date.now(),
-        expiresAt,
-        accessCount: 0,
-        tags: Array.isArray(tags) ? tags : [] // Ensure tags is an array
-      };
+    if (cacheItem.expiresAt) {
+      this._setExpiryTimer(key, cacheItem.expiresAt - now);
+    }
+    return cacheItem;
+  }
+
+  /**
+   * Private: Start tracking a key another process wrote to shared storage
+   * @returns {Object|undefined} The cache item, undefined when storage doesn't hold the key
+   */
+  async _adopt(key) {
+    if (!this.storage.shared || typeof this.storage.getMeta !== 'function') return undefined;
 
-      this.cache.set(key, cacheItem);
-      this.accessOrder.set(key, Date.now());
+    const meta = await this.storage.getMeta(key);
+    // A concurrent read or write may have tracked the key meanwhile
+    if (meta === undefined || this.cache.has(key)) return this.cache.get(key);
 
-      // Update tagsMap
-      for (const tag of cacheItem.tags) {
-        if (!this.tagsMap.has(tag)) {
-          this.tagsMap.set(tag, new Set());
-        }
-        this.tagsMap.get(tag).add(key);
-
-        // Enforce maxEntriesPerTag limit
-        const maxEntries = this.options.maxEntriesPerTag[tag];
-        if (maxEntries && this.tagsMap.get(tag).size > maxEntries) {
-          // Evict LRU item within this tag
-          let oldestTaggedKey = null;
-          let oldestTaggedTime = Infinity;
-
-          for (const taggedKey of this.tagsMap.get(tag)) {
-            const item = this.cache.get(taggedKey);
-            if (item && this.accessOrder.has(taggedKey) && this.accessOrder.get(taggedKey) < oldestTaggedTime) {
-              oldestTaggedTime = this.accessOrder.get(taggedKey);
-              oldestTaggedKey = taggedKey;
-            }
-          }
+    if (this.cache.size >= this.options.maxSize) {
+      await this._evict();
+    }
+    return this._track(key, meta);
+  }
 
-          if (oldestTaggedKey) {
-            await this.delete(oldestTaggedKey);
-            if (this.options.enableStats) {
-              this.stats.evictions++;
-            }
-            this.emit('evicted', oldestTaggedKey, null); // Value is null as it's already deleted
-          }
-        }
+  /**
+   * Private: Persist metadata and expiration of an existing item to storage
+   */
+  _persistMeta(key, item) {
+    const writes = [];
+    if (typeof this.storage.setMeta === 'function') {
+      writes.push(this.storage.setMeta(key, this._toMeta(item)));
+    }
+    if (typeof this.storage.expire === 'function') {
+      writes.push(this.storage.expire(key, this._storageTTL(item.expiresAt)));
+    }
+
+    Promise.all(writes).catch(error => {
+      this.emit('error', error);
+    });
+  }
+
+  /**
+   * Private: TTL enforced natively by storage, including the stale window
+   */
+  _storageTTL(expiresAt) {
+    if (!expiresAt) return 0;
+    const staleWindow = this.options.staleWhileRevalidate ? this.options.staleTTL : 0;
+    return Math.max(1, expiresAt - Date.now() + staleWindow);
+  }
+
+  /**
+   * Private: Metadata stored alongside the value in storage
+   */
+  _toMeta(item) {
+    return {
+      createdAt: item.createdAt,
+      expiresAt: item.expiresAt,
+      accessCount: item.accessCount,
+      tags: item.tags,
+      size: item.size,
+      ...(item.tagVersions && { tagVersions: item.tagVersions })
+    };
+  }
+
+  /**
+   * Private: Turn a value into the payload stored by the adapter
+   */
+  async _encode(key, value) {
+    const serialized = this.options.serialize(value);
+    const payload = this.compressor ? await this.compressor.compress(serialized) : serialized;
+    return this.encryptor ? this.encryptor.encrypt(payload, key) : payload;
+  }
+
+  /**
+   * Private: Turn a payload read from the adapter back into a value
+   * Payloads encrypted with an older key, or not at all, are rewritten with the current key.
+   * @param {Object} item - Entry the payload was read for
+   */
+  async _decode(key, stored, item) {
+    let payload = stored;
+    if (this.encryptor) {
+      payload = this.encryptor.decrypt(stored, key);
+      if (this.encryptor.needsReencryption(stored)) {
+        this._reencrypt(key, payload, item);
       }
+    }
+    const serialized = this.compressor ? await this.compressor.decompress(payload) : payload;
+    return this.options.deserialize(serialized);
+  }
 
-      // Set expiration timer if needed
-      if (effectiveTTL > 0) {
-        const timer = setTimeout(async () => {
-          if (!this.options.staleWhileRevalidate) { // Only delete if not stale-while-revalidate
-            await this.delete(key);
-          }
-          if (this.options.enableStats) {
-            this.stats.totalExpired++;
-          }
-          this.emit('expired', key, value);
-          this.emit(`expired:${key}`, value);
-        }, effectiveTTL);
-        this.timers.set(key, timer);
+  /**
+   * Private: Store a decrypted payload again under the current encryption key
+   * Skipped when the entry was replaced since it was read or a write of the key is in progress,
+   * as the old value would overwrite the newer one.
+   */
+  _reencrypt(key, payload, item) {
+    if (!item || this.cache.get(key) !== item || this.writes.has(key)) return;
+
+    let stored;
+    try {
+      stored = this.encryptor.encrypt(payload, key);
+    } catch (error) {
+      this.emit('error', error);
+      return;
+    }
+    this._trackWrite(key, () => this.storage.set(key, stored, {
+      ttl: this._storageTTL(item.expiresAt),
+      meta: this._toMeta(item)
+    })).then(() => {
+      this.encryptor.stats.reencrypted++;
+    }, error => {
+      this.emit('error', error);
+    });
+  }
+
+  /**
+   * Private: Run a storage write or delete of a key, tracking it while it is in progress
+   */
+  async _trackWrite(key, task) {
+    this.writes.set(key, (this.writes.get(key) || 0) + 1);
+    try {
+      return await task();
+    } finally {
+      const remaining = this.writes.get(key) - 1;
+      if (remaining > 0) {
+        this.writes.set(key, remaining);
+      } else {
+        this.writes.delete(key);
       }
+    }
+  }
 
-      if (this.options.enableStats) {
-        this.stats.sets++;
+  /**
+   * Private: Size of an entry in bytes, measured from its stored payload
+   */
+  _sizeOf(value, serialized) {
+    if (typeof this.options.sizeOf === 'function') {
+      return this.options.sizeOf(value, serialized);
+    }
+    if (Buffer.isBuffer(serialized)) {
+      return serialized.length;
+    }
+    return Buffer.byteLength(typeof serialized === 'string' ? serialized : String(serialized));
+  }
+
+  /**
+   * Private: Check whether a tag is the given tag or one of its descendants
+   */
+  _isWithinTag(tag, ancestor) {
+    return tag === ancestor || tag.startsWith(`${ancestor}${this.options.tagSeparator}`);
+  }
+
+  /**
+   * Private: Keys of entries tagged with a tag or any of its descendants
+   * A tag containing glob wildcards (*, ?, [abc]) matches every tag it describes,
+   * so 'tenant:*' selects the entries of every tenant and of their child tags.
+   * @returns {Set<string>}
+   */
+  _keysForTag(tag) {
+    const keys = new Set();
+    const wildcard = /[*?[]/.test(tag);
+    const matches = wildcard ? createMatcher(tag) : null;
+    const separator = this.options.tagSeparator;
+
+    for (const [indexedTag, keysForTag] of this.tagsMap) {
+      let selected;
+      if (wildcard) {
+        // Match the tag itself or any of its ancestors
+        const segments = indexedTag.split(separator);
+        selected = segments.some((segment, index) => matches(segments.slice(0, index + 1).join(separator)));
+      } else {
+        selected = this._isWithinTag(indexedTag, tag);
+      }
+      if (selected) {
+        for (const key of keysForTag) keys.add(key);
       }
+    }
+    return keys;
+  }
 
-      this.emit('set', key, value);
-      this.emit(`set:${key}`, value);
-      return this;
+  /**
+   * Private: Keys selected by a set-algebra tag query
+   * @param {Object} query - all: tags every entry must have, any: tags of which an entry
+   *                         needs at least one, none: tags an entry must not have
+   * @returns {Set<string>}
+   */
+  _keysForTags(query = {}) {
+    const { all = [], any = [], none = [] } = query;
+    let keys;
+
+    if (all.length > 0) {
+      const [first, ...rest] = all.map(tag => this._keysForTag(tag));
+      keys = new Set(Array.from(first).filter(key => rest.every(tagKeys => tagKeys.has(key))));
+    }
+    if (any.length > 0) {
+      const anyKeys = new Set();
+      for (const tag of any) {
+        for (const key of this._keysForTag(tag)) anyKeys.add(key);
+      }
+      keys = keys ? new Set(Array.from(keys).filter(key => anyKeys.has(key))) : anyKeys;
+    }
+    if (!keys) {
+      // Only exclusions given, start from every entry
+      keys = new Set(this.cache.keys());
+    }
+
+    for (const tag of none) {
+      for (const key of this._keysForTag(tag)) keys.delete(key);
+    }
+    return keys;
+  }
+
+  /**
+   * Private: Tags together with all their ancestors
+   */
+  _withAncestorTags(tags) {
+    const separator = this.options.tagSeparator;
+    const result = new Set();
+    for (const tag of tags) {
+      const segments = tag.split(separator);
+      for (let i = 1; i <= segments.length; i++) {
+        result.add(segments.slice(0, i).join(separator));
+      }
+    }
+    return Array.from(result);
+  }
+
+  /**
+   * Private: Current versions of tags, from storage when the adapter keeps them
+   */
+  async _getTagVersions(tags) {
+    if (typeof this.storage.getTagVersions === 'function') {
+      const versions = await this.storage.getTagVersions(tags);
+      if (versions) return versions;
+    }
+    return Object.fromEntries(tags.map(tag => [tag, this.tagVersions.get(tag) || 0]));
+  }
+
+  /**
+   * Private: Invalidate every entry written under the current version of a tag
+   */
+  async _incrementTagVersion(tag) {
+    if (typeof this.storage.incrementTagVersion === 'function') {
+      const version = await this.storage.incrementTagVersion(tag);
+      if (version !== null && version !== undefined) return version;
+    }
+    const version = (this.tagVersions.get(tag) || 0) + 1;
+    this.tagVersions.set(tag, version);
+    return version;
+  }
+
+  /**
+   * Private: Check whether a tag of an entry was invalidated after the entry was written
+   */
+  async _hasStaleTagVersion(item) {
+    if (!this.options.tagVersioning || !item.tagVersions) return false;
+
+    const tags = Object.keys(item.tagVersions);
+    if (tags.length === 0) return false;
+    const versions = await this._getTagVersions(tags);
+    return tags.some(tag => (versions[tag] || 0) !== item.tagVersions[tag]);
+  }
+
+  /**
+   * Private: Add key to the index of each of its tags
+   */
+  _indexTags(key, tags) {
+    for (const tag of tags) {
+      if (!this.tagsMap.has(tag)) {
+        this.tagsMap.set(tag, new Set());
+      }
+      this.tagsMap.get(tag).add(key);
+    }
+  }
+
+  /**
+   * Private: Schedule expiration of a key
+   */
+  _setExpiryTimer(key, delay, value) {
+    const timer = setTimeout(async () => {
+      this._recordExpiration(key, this.cache.get(key), value);
+      if (this.options.staleWhileRevalidate) {
+        // Keep serving the stale value until the stale window closes
+        this.timers.set(key, setTimeout(() => this._deleteItem(key), this.options.staleTTL));
+      } else {
+        await this._deleteItem(key);
+      }
+    }, delay);
+    this.timers.set(key, timer);
+  }
+
+  /**
+   * Private: Count the expiration of an entry and emit its events
+   * Its timer, a read or the cleanup may notice the expiration first, the others find it counted.
+   * A TTL extended since then expires again.
+   */
+  _recordExpiration(key, item, value) {
+    if (!item || item.expiredAt === item.expiresAt) return;
+    item.expiredAt = item.expiresAt;
+
+    if (this.options.enableStats) {
+      this.stats.totalExpired++;
+    }
+    this._recordTagStat(item, 'expirations');
+    this.emit('expired', key, value);
+    this.emit(`expired:${key}`, value);
+  }
+
+  /**
+   * Private: Check whether an expired item can no longer be served as stale
+   */
+  _isPastStaleWindow(item, now = Date.now()) {
+    if (!item.expiresAt) return false;
+    const staleWindow = this.options.staleWhileRevalidate ? this.options.staleTTL : 0;
+    return now > item.expiresAt + staleWindow;
+  }
+
+  /**
+   * Private: Run an operation and report its duration in milliseconds to 'timing' listeners
+   */
+  async _timed(operation, task) {
+    if (this.listenerCount('timing') === 0) return task();
+
+    const startedAt = process.hrtime.bigint();
+    try {
+      return await task();
+    } finally {
+      this.emit('timing', operation, Number(process.hrtime.bigint() - startedAt) / 1e6);
+    }
+  }
+
+  /**
+   * Private: Refresh a stale key in the background with its registered loader
+   */
+  _revalidate(key) {
+    const loader = this.loaders.get(key);
+    if (!loader || this.inFlight.has(key)) return;
+
+    const item = this.cache.get(key);
+    const tags = item ? item.tags : [];
+    const refresh = (async () => {
+      const value = await this._timed('load', () => loader.fn(loader.loaderOptions));
+      await this.set(key, value, loader.ttl, tags);
+      return value;
+    })();
+    this.inFlight.set(key, refresh);
+
+    refresh.then(
+      value => this.emit('revalidated', key, value),
+      error => this.emit('revalidateFailed', key, error)
+    ).finally(() => {
+      this.inFlight.delete(key);
+    });
+  }
+
+  /**
+   * Set cache value
+   * @param {string} key - Cache key
+   * @param {*} value - Cache value
+   * @param {number} ttl - Time to live in milliseconds
+   * @returns {boolean} Success status
+   */
+  async set(key, value, ttl = null, tags = [], condition = null) {
+    try {
+      return await this._setItem(key, value, ttl, tags, condition);
     } catch (error) {
       this.emit('error', error);
       return this;
     }
   }
 
+  /**
+   * Private: Set cache value, throwing the errors set() reports through the 'error' event
+   */
+  async _setItem(key, value, ttl, tags, condition) {
+    await this._ready;
+
+    // If a condition function is provided, evaluate it
+    if (typeof condition === 'function' && !condition(key, value)) {
+      return false; // Do not cache if condition is false
+    }
+
+    const serialized = await this._encode(key, value);
+    const size = this._sizeOf(value, serialized);
+    const { maxBytes } = this.options;
+    if (maxBytes > 0 && size > maxBytes) {
+      return false; // Do not cache entries larger than the whole budget
+    }
+
+    // Check if we need to evict items
+    if (this.cache.size >= this.options.maxSize && !this.cache.has(key)) {
+      await this._evict();
+    }
+
+    // Evict until the new entry fits in the byte budget
+    while (maxBytes > 0 && this.cache.size > 0) {
+      const replacedSize = this.cache.has(key) ? this.cache.get(key).size : 0;
+      if (this.bytes - replacedSize + size <= maxBytes) break;
+      const countBefore = this.cache.size;
+      if (!(await this._evict()) || this.cache.size === countBefore) break;
+    }
+
+    // Clear existing timer if exists
+    if (this.timers.has(key)) {
+      clearTimeout(this.timers.get(key));
+      this.timers.delete(key);
+    }
+
+    // Calculate TTL
+    const effectiveTTL = ttl !== null ? ttl : this.options.defaultTTL;
+    const expiresAt = effectiveTTL > 0 ? Date.now() + effectiveTTL : null;
+
+    const cacheItem = {
+      createdAt: Date.now(),
+      expiresAt,
+      accessCount: 0,
+      tags: Array.isArray(tags) ? tags : [], // Ensure tags is an array
+      size
+    };
+    if (this.options.tagVersioning && cacheItem.tags.length > 0) {
+      // Remember the versions this entry was written under
+      cacheItem.tagVersions = await this._getTagVersions(this._withAncestorTags(cacheItem.tags));
+    }
+
+    // Store value, metadata and expiration in external storage
+    await this._trackWrite(key, () => this._timed('set', () => this.storage.set(key, serialized, {
+      ttl: this._storageTTL(expiresAt),
+      meta: this._toMeta(cacheItem)
+    })));
+
+    // Store metadata in memory
+    const replacedItem = this.cache.get(key);
+    if (replacedItem && replacedItem.tags && replacedItem.tags.length > 0) {
+      // Remove the replaced item's tags from tagsMap, now that the new value is stored
+      for (const tag of replacedItem.tags) {
+        const keysForTag = this.tagsMap.get(tag);
+        if (keysForTag) {
+          keysForTag.delete(key);
+          if (keysForTag.size === 0) {
+            this.tagsMap.delete(tag);
+          }
+        }
+      }
+    }
+    this.bytes += size - (replacedItem ? replacedItem.size : 0);
+    this.cache.set(key, cacheItem);
+    this.policy.onInsert(key, cacheItem);
+
+    // Update tagsMap
+    this._indexTags(key, cacheItem.tags);
+    for (const [limitedTag, maxEntries] of Object.entries(this.options.maxEntriesPerTag)) {
+      // Enforce maxEntriesPerTag limit, which covers the entries of child tags too
+      if (!maxEntries || !cacheItem.tags.some(tag => this._isWithinTag(tag, limitedTag))) continue;
+      const keysForTag = this._keysForTag(limitedTag);
+      if (keysForTag.size > maxEntries) {
+        // Evict an item within this tag, chosen by the eviction policy
+        const candidates = Array.from(keysForTag).filter(taggedKey => taggedKey !== key);
+        const oldestTaggedKey = this.policy.victim(candidates);
+
+        if (oldestTaggedKey !== undefined) {
+          this._recordTagStat(this.cache.get(oldestTaggedKey), 'evictions');
+          await this._deleteItem(oldestTaggedKey);
+          if (this.options.enableStats) {
+            this.stats.evictions++;
+          }
+          this.emit('evicted', oldestTaggedKey, null); // Value is null as it's already deleted
+        }
+      }
+    }
+
+    // Set expiration timer if needed
+    if (effectiveTTL > 0) {
+      this._setExpiryTimer(key, effectiveTTL, value);
+    }
+
+    if (this.options.enableStats) {
+      this.stats.sets++;
+    }
+    this._recordTagStat(cacheItem, 'sets');
+
+    this.emit('set', key, value);
+    this.emit(`set:${key}`, value);
+    return this;
+  }
+
   /**
    * Get cache value
    * @param {string} key - Cache key
@@ -203,53 +849,71 @@ class EasyCache extends EventEmitter {
     if (this.options.enableStats) {
       this.stats.totalAccesses++;
     }
+    let item;
     try {
-      const item = this.cache.get(key);
+      await this._ready;
+      item = this.cache.get(key) || await this._adopt(key);
       
       if (!item) {
+        if (typeof this.policy.onMiss === 'function') {
+          this.policy.onMiss(key);
+        }
         if (this.options.enableStats) {
           this.stats.misses++;
         }
         return undefined;
       }
 
+      // An entry is outdated once one of its tags was invalidated by version
+      if (await this._hasStaleTagVersion(item)) {
+        await this._invalidateKey(key, Boolean(this.storage.shared));
+        if (this.options.enableStats) {
+          this.stats.misses++;
+        }
+        this._recordTagStat(item, 'misses');
+        return undefined;
+      }
+
       // Check if expired
       if (item.expiresAt && Date.now() > item.expiresAt) {
-        // If stale-while-revalidate is enabled
-        if (this.options.staleWhileRevalidate) {
-          const rawStaleValue = await this.storage.get(key);
+        this._recordExpiration(key, item);
+        // If stale-while-revalidate is enabled and the stale window is still open
+        if (this.options.staleWhileRevalidate && !this._isPastStaleWindow(item)) {
+          const rawStaleValue = await this._timed('get', () => this.storage.get(key));
           if (rawStaleValue !== undefined) {
-            const staleValue = this.options.deserialize(rawStaleValue);
+            const staleValue = await this._decode(key, rawStaleValue, item);
             this.emit('revalidate', key, staleValue);
+            this._revalidate(key);
             return staleValue;
           }
         }
-        // If not stale-while-revalidate, or stale value not found, then delete
-        await this.delete(key);
+        // If not stale-while-revalidate, or stale value not available, then delete
+        await this._deleteItem(key);
         if (this.options.enableStats) {
           this.stats.misses++;
         }
+        this._recordTagStat(item, 'misses');
         return undefined;
       }
 
       // Get value from storage
-      let value = await this.storage.get(key);
+      let value = await this._timed('get', () => this.storage.get(key));
       if (value !== undefined) {
-        value = this.options.deserialize(value);
+        value = await this._decode(key, value, item);
       }
       if (value === undefined) {
         // Storage inconsistency, remove from memory cache
-        this.cache.delete(key);
-        this.accessOrder.delete(key);
+        this._forget(key);
         if (this.options.enableStats) {
           this.stats.misses++;
         }
+        this._recordTagStat(item, 'misses');
         return undefined;
       }
 
-      // Update access info for LRU
+      // Update access info for the eviction policy
       item.accessCount++;
-      this.accessOrder.set(key, Date.now());
+      this.policy.onAccess(key, item);
 
       // If sliding TTL is enabled, extend the TTL on access
       if (this.options.slidingTTL && item.expiresAt) {
@@ -260,25 +924,25 @@ class EasyCache extends EventEmitter {
         if (this.timers.has(key)) {
           clearTimeout(this.timers.get(key));
         }
-        const timer = setTimeout(async () => {
-          await this.delete(key);
-          this.emit('expired', key, value);
-        }, currentTTL);
-        this.timers.set(key, timer);
+        this._setExpiryTimer(key, currentTTL, value);
+        this._persistMeta(key, item);
       }
 
       if (this.options.enableStats) {
         this.stats.hits++;
       }
+      this._recordTagStat(item, 'hits');
 
       this.emit('get', key, value);
       this.emit(`get:${key}`, value);
       return value;
     } catch (error) {
-      this.emit('error', error);
+      // Decryption failures carry code ERR_CACHE_DECRYPT and the key
       if (this.options.enableStats) {
         this.stats.misses++;
       }
+      this._recordTagStat(item, 'misses');
+      this.emit('error', error);
       return undefined;
     }
   }
@@ -289,22 +953,37 @@ class EasyCache extends EventEmitter {
    * @returns {boolean}
    */
   async has(key) {
-    const item = this.cache.get(key);
-    if (!item) return false;
+    await this._ready;
+    let item = this.cache.get(key);
+    if (!item) {
+      try {
+        item = await this._adopt(key);
+      } catch (error) {
+        return false;
+      }
+      if (!item) return false;
+    }
     
-    // Check if expired
+    // Check if expired, keeping stale values that may still be served
     if (item.expiresAt && Date.now() > item.expiresAt) {
-      await this.delete(key);
+      this._recordExpiration(key, item);
+      if (this._isPastStaleWindow(item)) {
+        await this._deleteItem(key);
+      }
       return false;
     }
     
-    // Double check with storage
     try {
+      if (await this._hasStaleTagVersion(item)) {
+        await this._invalidateKey(key, Boolean(this.storage.shared));
+        return false;
+      }
+
+      // Double check with storage
       const hasInStorage = await this.storage.has(key);
       if (!hasInStorage) {
         // Storage inconsistency, remove from memory
-        this.cache.delete(key);
-        this.accessOrder.delete(key);
+        this._forget(key);
         return false;
       }
       return true;
@@ -319,12 +998,28 @@ class EasyCache extends EventEmitter {
    * @returns {boolean} Success status
    */
   async delete(key) {
+    await this._deleteItem(key);
+    this._broadcast({ type: 'delete', key });
+    return this;
+  }
+
+  /**
+   * Private: Delete cache item without notifying other processes
+   */
+  async _deleteItem(key) {
+    await this._ready;
+    return this._removeItem(key);
+  }
+
+  /**
+   * Private: Delete cache item without waiting for the restore, which evicts through it
+   */
+  async _removeItem(key) {
     try {
       const existed = this.cache.has(key);
       let value = null;
       
       if (existed) {
-        const item = this.cache.get(key); // Define item here
         // Get value before deleting for event
         try {
           value = await this.storage.get(key);
@@ -333,36 +1028,9 @@ class EasyCache extends EventEmitter {
         }
         
         // Remove from storage
-        await this.storage.delete(key);
-        
-        // Remove from memory
-        this.cache.delete(key);
-        this.accessOrder.delete(key);
-        
-        // Remove from tagsMap
-        if (item.tags && item.tags.length > 0) {
-          for (const tag of item.tags) {
-            const keysForTag = this.tagsMap.get(tag);
-            if (keysForTag) {
-              keysForTag.delete(key);
-              if (keysForTag.size === 0) {
-                this.tagsMap.delete(tag);
-              }
-            }
-          }
-        }
+        await this._trackWrite(key, () => this.storage.delete(key));
         
-        if (this.timers.has(key)) {
-          clearTimeout(this.timers.get(key));
-          this.timers.delete(key);
-        }
-
-        if (this.options.enableStats) {
-          this.stats.deletes++;
-        }
-
-        this.emit('delete', key, value);
-        this.emit(`delete:${key}`, value);
+        this._recordDelete(key, value);
       }
 
       return this;
@@ -372,23 +1040,90 @@ class EasyCache extends EventEmitter {
     }
   }
 
+  /**
+   * Private: Forget a key removed from storage, counting the delete and emitting its events
+   */
+  _recordDelete(key, value) {
+    const item = this.cache.get(key);
+    this._forget(key);
+
+    if (this.options.enableStats) {
+      this.stats.deletes++;
+    }
+    this._recordTagStat(item, 'deletes');
+
+    this.emit('delete', key, value);
+    this.emit(`delete:${key}`, value);
+  }
+
+  /**
+   * Private: Drop metadata, tag index and timers of a key
+   */
+  _forget(key) {
+    const item = this.cache.get(key);
+    if (!item) return;
+
+    this.cache.delete(key);
+    this.policy.onRemove(key);
+    this.loaders.delete(key);
+    this.bytes -= item.size;
+
+    // Remove from tagsMap
+    if (item.tags && item.tags.length > 0) {
+      for (const tag of item.tags) {
+        const keysForTag = this.tagsMap.get(tag);
+        if (keysForTag) {
+          keysForTag.delete(key);
+          if (keysForTag.size === 0) {
+            this.tagsMap.delete(tag);
+          }
+        }
+      }
+    }
+
+    if (this.timers.has(key)) {
+      clearTimeout(this.timers.get(key));
+      this.timers.delete(key);
+    }
+  }
+
+  /**
+   * Private: Drop all in-memory state
+   */
+  _forgetAll() {
+    // Clear all timers
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+
+    // Clear memory structures
+    this.cache.clear();
+    this.timers.clear();
+    this.policy.clear();
+    this.tagsMap.clear();
+    this.loaders.clear();
+    this.bytes = 0;
+  }
+
   /**
    * Clear all cache
    */
   async clear() {
+    await this._clearItems();
+    this._broadcast({ type: 'clear' });
+    return this;
+  }
+
+  /**
+   * Private: Clear all cache without notifying other processes
+   */
+  async _clearItems() {
     try {
+      await this._ready;
+
       // Clear storage
       await this.storage.clear();
-      
-      // Clear all timers
-      for (const timer of this.timers.values()) {
-        clearTimeout(timer);
-      }
-      
-      // Clear memory structures
-      this.cache.clear();
-      this.timers.clear();
-      this.accessOrder.clear();
+      this._forgetAll();
       
       this.emit('clear');
       return this;
@@ -422,6 +1157,54 @@ class EasyCache extends EventEmitter {
     }
   }
 
+  /**
+   * Iterate over cache keys matching a pattern
+   * Adapters with a native scan are read page by page, others are filtered from keys().
+   * @param {Object} options - match (glob pattern or RegExp, default '*') and count (page size hint)
+   * @returns {AsyncIterator<string>} Matching keys
+   */
+  async *scan(options = {}) {
+    const { match = '*', count = 100 } = options;
+    await this._ready;
+    const matches = createMatcher(match);
+
+    if (typeof this.storage.scan !== 'function') {
+      for (const key of await this.keys()) {
+        if (matches(key)) yield key;
+      }
+      return;
+    }
+
+    // Adapters understand glob patterns only, a RegExp is applied to every key
+    const storageMatch = match instanceof RegExp ? '*' : match;
+    for await (const key of this.storage.scan({ match: storageMatch, count })) {
+      if (matches(key)) yield key;
+    }
+  }
+
+  /**
+   * Delete all cache items whose key matches a pattern
+   * @param {string|RegExp} pattern - Glob pattern (*, ?, [abc]) or regular expression
+   * @param {Object} options - count (page size hint for the scan)
+   * @returns {number} Number of deleted keys
+   */
+  async deleteByPattern(pattern, options = {}) {
+    const keysToDelete = [];
+    for await (const key of this.scan({ match: pattern, count: options.count })) {
+      keysToDelete.push(key);
+    }
+
+    // Keys written by other processes to shared storage are not tracked locally
+    await Promise.all(keysToDelete.map(key => (
+      this.cache.has(key) ? this._deleteItem(key) : this.storage.delete(key)
+    )));
+
+    this._broadcast(pattern instanceof RegExp
+      ? { type: 'pattern', regexp: { source: pattern.source, flags: pattern.flags } }
+      : { type: 'pattern', pattern });
+    return keysToDelete.length;
+  }
+
   /**
    * Get cache statistics
    * @returns {Object}
@@ -430,46 +1213,84 @@ class EasyCache extends EventEmitter {
     return {
       ...this.stats,
       size: this.cache.size,
+      bytes: this.bytes,
       hitRate: this.stats.hits / (this.stats.hits + this.stats.misses) || 0,
       totalAccesses: this.stats.totalAccesses,
-      totalExpired: this.stats.totalExpired
+      totalExpired: this.stats.totalExpired,
+      ...(this.storage instanceof TieredAdapter && { tiers: this.storage.getStats() }),
+      ...(this.compressor && { compression: this.compressor.getStats() }),
+      ...(this.encryptor && { encryption: this.encryptor.getStats() })
     };
   }
 
   /**
    * Get statistics for items associated with a specific tag.
+   * Counters cover the tag's whole history, count and bytes its current entries.
    * @param {string} tag - The tag to get statistics for.
    * @returns {Object} An object containing statistics for the tag.
    */
   getStatsByTag(tag) {
     const keysForTag = this.tagsMap.get(tag);
-    if (!keysForTag) {
-      return { count: 0 };
-    }
-
-    let hits = 0;
-    let misses = 0;
-    let sets = 0;
-    let deletes = 0;
-    let evictions = 0;
-    let totalAccesses = 0;
-    let totalExpired = 0;
-
-    for (const key of keysForTag) {
-      const item = this.cache.get(key);
-      if (item) {
-        // Basic stats for now, can be expanded
-        // For a full implementation, we'd need to store per-item stats
-        // For simplicity, we'll just count items for now.
+    const counters = this.tagStats.get(tag) || createTagStats();
+
+    let bytes = 0;
+    if (keysForTag) {
+      for (const key of keysForTag) {
+        const item = this.cache.get(key);
+        if (item) {
+          bytes += item.size || 0;
+        }
       }
     }
 
     return {
-      count: keysForTag.size,
-      // Add more detailed stats here if needed in the future
+      count: keysForTag ? keysForTag.size : 0,
+      bytes,
+      ...counters,
+      hitRate: counters.hits / (counters.hits + counters.misses) || 0
     };
   }
 
+  /**
+   * Get statistics of every tag that has entries or recorded activity
+   * @returns {Object} Statistics keyed by tag
+   */
+  getAllTagStats() {
+    const result = {};
+    const tags = new Set([...this.tagsMap.keys(), ...this.tagStats.keys()]);
+    for (const tag of tags) {
+      result[tag] = this.getStatsByTag(tag);
+    }
+    return result;
+  }
+
+  /**
+   * Reset the counters of one tag, or of every tag when omitted
+   * @param {string} tag - The tag to reset
+   */
+  resetTagStats(tag) {
+    if (tag === undefined) {
+      this.tagStats.clear();
+    } else {
+      this.tagStats.delete(tag);
+    }
+    return this;
+  }
+
+  /**
+   * Private: Count an event in the statistics of every tag of an item
+   */
+  _recordTagStat(item, stat) {
+    if (!this.options.enableStats || !item || !Array.isArray(item.tags)) return;
+
+    for (const tag of item.tags) {
+      if (!this.tagStats.has(tag)) {
+        this.tagStats.set(tag, createTagStats());
+      }
+      this.tagStats.get(tag)[stat]++;
+    }
+  }
+
   /**
    * Reset statistics
    */
@@ -481,13 +1302,27 @@ class EasyCache extends EventEmitter {
       deletes: 0,
       evictions: 0,
       totalAccesses: 0,
-      totalExpired: 0
+      totalExpired: 0,
+      coalesced: 0
     };
+    this.tagStats.clear();
+    if (this.storage instanceof TieredAdapter) {
+      this.storage.resetStats();
+    }
+    if (this.compressor) {
+      this.compressor.resetStats();
+    }
+    if (this.encryptor) {
+      this.encryptor.resetStats();
+    }
     return this;
   }
 
   /**
    * Get or set with function
+   * Concurrent calls for the same missing key share a single loader execution.
+   * With staleWhileRevalidate, a stale value is returned immediately while the
+   * loader refreshes it in the background.
    * @param {string} key - Cache key
    * @param {function} fn - Function to generate value if not exists
    * @param {number} ttl - Time to live
@@ -495,21 +1330,97 @@ class EasyCache extends EventEmitter {
    * @returns {*} Cache value
    */
   async getOrSet(key, fn, ttl = null, loaderOptions = {}) {
+    return this._getOrLoad(key, fn, ttl, loaderOptions, [], null);
+  }
+
+  /**
+   * Private: getOrSet with the tags and condition applied when the loaded value is stored
+   */
+  async _getOrLoad(key, fn, ttl, loaderOptions, tags, condition) {
     try {
-      let value = await this.get(key);
-      
-      if (value === undefined) {
-        value = await fn(loaderOptions);
-        await this.set(key, value, ttl);
+      if (this.options.staleWhileRevalidate) {
+        // Remember the loader so stale reads can refresh the key in the background
+        this.loaders.set(key, { fn, ttl, loaderOptions });
+      }
+
+      const value = await this.get(key);
+      if (value !== undefined) {
+        return value;
+      }
+
+      // Share the pending loader with concurrent callers for the same key
+      if (this.inFlight.has(key)) {
+        if (this.options.enableStats) {
+          this.stats.coalesced++;
+        }
+        return await this.inFlight.get(key);
+      }
+
+      const load = (async () => {
+        const loadedValue = await this._timed('load', () => fn(loaderOptions));
+        await this.set(key, loadedValue, ttl, tags, condition);
+        return loadedValue;
+      })();
+      this.inFlight.set(key, load);
+
+      try {
+        return await load;
+      } finally {
+        this.inFlight.delete(key);
       }
-      
-      return value;
     } catch (error) {
+      if (!this.cache.has(key)) {
+        this.loaders.delete(key);
+      }
       this.emit('error', error);
       throw error;
     }
   }
 
+  /**
+   * Wrap a function so that its results are cached per arguments
+   * Calls with equal arguments share one execution while it is pending.
+   * @param {function} fn - Function to memoize, may return a promise
+   * @param {Object} options - keyResolver, keyPrefix, ttl, tags and condition
+   * @returns {function} Memoized async function with invalidate(...args) and clear()
+   */
+  wrap(fn, options = {}) {
+    const { keyResolver = null, ttl = null, tags = [], condition = null } = options;
+    const keyPrefix = options.keyPrefix || this._defaultWrapPrefix(fn);
+    const keyFor = args => {
+      const argsKey = keyResolver ? keyResolver(...args) : EasyCache.utils.stableHash(args);
+      return `${keyPrefix}:${argsKey}`;
+    };
+
+    // Every result is tagged with the key prefix so clear() can drop them all
+    const resultTags = [keyPrefix, ...tags];
+    const memoized = (...args) => this._getOrLoad(keyFor(args), () => fn(...args), ttl, {}, resultTags, condition);
+    memoized.invalidate = (...args) => this.delete(keyFor(args));
+    memoized.clear = () => this.deleteByTag(keyPrefix);
+    return memoized;
+  }
+
+  /**
+   * Private: Key prefix of a function wrapped without a keyPrefix
+   * Derived from the function's name and source, so it stays the same across restarts and results
+   * persisted by one function are never served for another.
+   */
+  _defaultWrapPrefix(fn) {
+    if (!fn.name) {
+      throw new Error('wrap() requires a keyPrefix for anonymous functions');
+    }
+    const hash = crypto.createHash('sha1').update(fn.toString()).digest('hex').slice(0, 12);
+    const keyPrefix = `wrap:${fn.name}:${hash}`;
+
+    // Closures created from the same source can't be told apart by their prefix
+    const wrapped = this.wrapPrefixes.get(keyPrefix);
+    if (wrapped && wrapped !== fn) {
+      throw new Error(`wrap() requires a keyPrefix for ${fn.name}, another function with the same source was wrapped`);
+    }
+    this.wrapPrefixes.set(keyPrefix, fn);
+    return keyPrefix;
+  }
+
   /**
    * Set multiple values
    * @param {Object} items - Key-value pairs
@@ -565,38 +1476,94 @@ class EasyCache extends EventEmitter {
   }
 
   /**
-   * Get all cache items associated with a specific tag
+   * Get all cache items associated with a specific tag or its child tags
    * @param {string} tag - The tag to retrieve items for
    * @returns {Object} An object containing key-value pairs for the tag
    */
   async getByTag(tag) {
-    const keysForTag = this.tagsMap.get(tag);
-    if (!keysForTag) {
-      return {};
+    return this._getKeys(this._keysForTag(tag));
+  }
+
+  /**
+   * Delete all cache items associated with a specific tag or its child tags
+   * @param {string} tag - The tag to delete items for
+   * @returns {boolean} True if any items were deleted, false otherwise
+   */
+  async deleteByTag(tag) {
+    // Entries written by other processes are invalidated through the version, wildcards have none
+    if (this.options.tagVersioning && !/[*?[]/.test(tag)) {
+      try {
+        await this._incrementTagVersion(tag);
+      } catch (error) {
+        this.emit('error', error);
+      }
     }
-    const result = {};
-    for (const key of keysForTag) {
-      const value = await this.get(key);
-      if (value !== undefined) {
-        result[key] = value;
+
+    let keysToDelete = Array.from(this._keysForTag(tag));
+    let deletedInStorage = 0;
+    if (typeof this.storage.deleteByTag === 'function' && !/[*?[]/.test(tag)) {
+      // Adapters with a tag index delete the rows in one query, rows of other processes included
+      try {
+        await this._ready;
+        const deleted = await this.storage.deleteByTag(tag, { separator: this.options.tagSeparator });
+        if (deleted) {
+          deletedInStorage = deleted.length;
+          for (const [key, value] of deleted) {
+            if (this.cache.has(key)) {
+              this._recordDelete(key, value);
+            }
+          }
+          keysToDelete = keysToDelete.filter(key => this.cache.has(key));
+        }
+      } catch (error) {
+        this.emit('error', error);
       }
     }
-    return result;
+
+    if (keysToDelete.length === 0 && deletedInStorage === 0) {
+      return false;
+    }
+    await Promise.all(keysToDelete.map(key => this._deleteItem(key)));
+    this._broadcast({ type: 'tag', tag });
+    return true;
   }
 
   /**
-   * Delete all cache items associated with a specific tag
-   * @param {string} tag - The tag to delete items for
+   * Get all cache items matching a tag query
+   * @param {Object} query - all, any and none arrays of tags, child tags included
+   * @returns {Object} An object containing key-value pairs of the matching items
+   */
+  async getByTags(query) {
+    return this._getKeys(this._keysForTags(query));
+  }
+
+  /**
+   * Delete all cache items matching a tag query
+   * @param {Object} query - all, any and none arrays of tags, child tags included
    * @returns {boolean} True if any items were deleted, false otherwise
    */
-  async deleteByTag(tag) {
-    const keysForTag = this.tagsMap.get(tag);
-    if (!keysForTag) {
+  async deleteByTags(query) {
+    const keysToDelete = Array.from(this._keysForTags(query));
+    if (keysToDelete.length === 0) {
       return false;
     }
-    const keysToDelete = Array.from(keysForTag);
-    await this.deleteMultiple(keysToDelete);
-    return keysToDelete.length > 0;
+    await Promise.all(keysToDelete.map(key => this._deleteItem(key)));
+    this._broadcast({ type: 'tags', query });
+    return true;
+  }
+
+  /**
+   * Private: Read the given keys, skipping missing ones
+   */
+  async _getKeys(keys) {
+    const result = {};
+    for (const key of keys) {
+      const value = await this.get(key);
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    }
+    return result;
   }
 
   /**
@@ -622,6 +1589,119 @@ class EasyCache extends EventEmitter {
     return this;
   }
 
+  /**
+   * Export all live entries with their values, remaining TTLs and tags
+   * The snapshot is versioned NDJSON, one line per yielded string, and can be written
+   * to disk with stream.Readable.from(cache.dump()).pipe(fs.createWriteStream(path)).
+   * @returns {AsyncIterator<string>} Snapshot lines
+   */
+  async *dump() {
+    await this._ready;
+    const now = Date.now();
+    yield encodeHeader(now);
+
+    for (const [key, item] of Array.from(this.cache.entries())) {
+      if (item.expiresAt && item.expiresAt <= now) continue;
+
+      let serialized;
+      try {
+        serialized = await this.storage.get(key);
+      } catch (error) {
+        this.emit('error', error);
+        continue;
+      }
+      if (serialized === undefined) continue;
+
+      const ttl = item.expiresAt ? item.expiresAt - now : 0;
+      let line;
+      try {
+        line = encodeEntry(key, await this._decode(key, serialized, item), ttl, item.tags);
+      } catch (error) {
+        this.emit('error', error);
+        continue;
+      }
+      yield line;
+    }
+  }
+
+  /**
+   * Import a snapshot produced by dump()
+   * TTLs are shortened by the time elapsed since the snapshot was taken, and entries
+   * that expired in the meantime are skipped.
+   * @param {string|Buffer|Iterable|AsyncIterable} snapshot - Snapshot text, lines or a readable stream
+   * @param {Object} options - mode: 'merge' (default) overwrites snapshot keys and keeps the others,
+   *                           'replace' clears the cache first
+   * @returns {number} Number of restored entries
+   */
+  async load(snapshot, options = {}) {
+    const mode = options.mode || 'merge';
+    if (!['merge', 'replace'].includes(mode)) {
+      throw new Error(`Unsupported load mode: ${mode}`);
+    }
+
+    const records = readSnapshot(snapshot);
+    // Validate the header before touching the cache
+    const { value: header } = await records.next();
+    if (mode === 'replace') {
+      await this._clearItems();
+    }
+
+    const elapsed = Math.max(0, Date.now() - (header.createdAt || Date.now()));
+    let loaded = 0;
+    try {
+      for await (const entry of records) {
+        let ttl = 0;
+        if (entry.ttl > 0) {
+          ttl = entry.ttl - elapsed;
+          if (ttl <= 0) continue;
+        }
+
+        // Entries that failed to store are reported and not counted
+        try {
+          if (await this._setItem(entry.key, entry.value, ttl, entry.tags || [], null) !== false) {
+            loaded++;
+          }
+        } catch (error) {
+          this.emit('error', error);
+        }
+      }
+    } finally {
+      if (mode === 'replace') {
+        // Other processes drop their entries once, after the snapshot replaced this cache's
+        this._broadcast({ type: 'clear' });
+      }
+    }
+    return loaded;
+  }
+
+  /**
+   * Get a view of the cache whose keys are prefixed with the namespace name.
+   * The view shares storage and eviction budget with this cache.
+   * @param {string} name - Namespace name
+   * @param {Object} options - Optional maxSize and defaultTTL for the namespace
+   * @returns {CacheNamespace} The namespace view, the same instance for the same name
+   */
+  namespace(name, options = {}) {
+    if (typeof name !== 'string' || name.includes(':')) {
+      // The separator would let a namespace match the keys of another, as 'users' of 'users:admin'
+      throw new Error(`Invalid namespace name: ${name}, namespace names can't contain ':'`);
+    }
+    if (this.namespaces.size === 0) {
+      // One listener counts evictions decided by this cache's limits for every namespace
+      this.on('evicted', key => {
+        const separator = typeof key === 'string' ? key.indexOf(':') : -1;
+        const owner = separator === -1 ? null : this.namespaces.get(key.slice(0, separator));
+        if (owner) {
+          owner._record('evictions');
+        }
+      });
+    }
+    if (!this.namespaces.has(name)) {
+      this.namespaces.set(name, new CacheNamespace(this, name, options));
+    }
+    return this.namespaces.get(name);
+  }
+
   /**
    * Get cache info for a specific key
    * @param {string} key - Cache key
@@ -637,6 +1717,7 @@ class EasyCache extends EventEmitter {
       expiresAt: item.expiresAt,
       accessCount: item.accessCount,
       tags: item.tags || [],
+      size: item.size,
       isExpired: item.expiresAt ? Date.now() > item.expiresAt : false,
       ttl: item.expiresAt ? Math.max(0, item.expiresAt - Date.now()) : null
     };
@@ -662,41 +1743,34 @@ class EasyCache extends EventEmitter {
     item.expiresAt = ttl > 0 ? Date.now() + ttl : null;
 
     if (ttl > 0) {
-      const timer = setTimeout(() => {
-        this.delete(key);
-        this.emit('expired', key, item.value);
-        this.emit(`expired:${key}`, item.value);
-      }, ttl);
-      this.timers.set(key, timer);
+      this._setExpiryTimer(key, ttl, item.value);
     }
 
+    this._persistMeta(key, item);
     return this;
   }
 
   /**
-   * Private: Evict least recently used item
+   * Private: Evict the item chosen by the eviction policy
+   * @returns {boolean} True if an item was evicted
    */
-  _evictLRU() {
-    if (this.accessOrder.size === 0) return;
-
-    // Find oldest accessed key
-    let oldestKey = null;
-    let oldestTime = Infinity;
+  async _evict() {
+    const victimKey = this.policy.victim();
+    if (victimKey === undefined) return false;
 
-    for (const [key, time] of this.accessOrder.entries()) {
-      if (time < oldestTime) {
-        oldestTime = time;
-        oldestKey = key;
-      }
+    if (!this.cache.has(victimKey)) {
+      // Policy is out of sync with the cache
+      this.policy.onRemove(victimKey);
+      return false;
     }
 
-    if (oldestKey) {
-      const item = this.cache.get(oldestKey);
-      this.delete(oldestKey);
-      this.stats.evictions++;
-      this.emit('evicted', oldestKey, item?.value);
-      this.emit(`evicted:${oldestKey}`, item?.value);
-    }
+    const item = this.cache.get(victimKey);
+    this._recordTagStat(item, 'evictions');
+    await this._removeItem(victimKey);
+    this.stats.evictions++;
+    this.emit('evicted', victimKey, item?.value);
+    this.emit(`evicted:${victimKey}`, item?.value);
+    return true;
   }
 
   /**
@@ -707,16 +1781,14 @@ class EasyCache extends EventEmitter {
     const expiredKeys = [];
 
     for (const [key, item] of this.cache.entries()) {
-      if (item.expiresAt && now > item.expiresAt) {
+      if (this._isPastStaleWindow(item, now)) {
         expiredKeys.push(key);
       }
     }
 
     for (const key of expiredKeys) {
-      this.delete(key);
-      if (this.options.enableStats) {
-        this.stats.totalExpired++;
-      }
+      this._recordExpiration(key, this.cache.get(key));
+      this._deleteItem(key);
     }
 
     if (expiredKeys.length > 0) {
@@ -725,14 +1797,37 @@ class EasyCache extends EventEmitter {
   }
 
   /**
-   * Destroy cache and cleanup resources
+   * Write changes the storage adapter holds back, such as deferred file saves and write-behind L2 writes
+   */
+  async flush() {
+    try {
+      await this._ready;
+      if (typeof this.storage.flush === 'function') {
+        await this.storage.flush();
+      }
+    } catch (error) {
+      this.emit('error', error);
+    }
+    return this;
+  }
+
+  /**
+   * Stop timers and disconnect from storage, persisted entries are kept for the next instance
    */
   async destroy() {
-    await this.clear();
+    await this.flush();
+    this._forgetAll();
     
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
     }
+
+    if (this.invalidationBus) {
+      await this.invalidationBus.unsubscribe(this._invalidationHandler);
+      if (this._ownsInvalidationBus) {
+        await this.invalidationBus.close();
+      }
+    }
     
     // Disconnect from persistent storage if applicable
     if (typeof this.storage.disconnect === 'function') {
@@ -782,7 +1877,84 @@ EasyCache.utils = {
       i++;
     }
     return `${bytes.toFixed(2)} ${units[i]}`;
+  },
+
+  /**
+   * Serialize a value deterministically: object keys are sorted, and Dates,
+   * Buffers, Maps, Sets and BigInts are tagged so they don't collide with plain values
+   * @param {*} value - Value to serialize
+   * @returns {string} Stable string representation
+   */
+  stableStringify(value) {
+    const seen = new Set();
+    const encode = (input) => {
+      if (input === undefined) return '{"$undefined":true}';
+      if (input === null || typeof input === 'number' || typeof input === 'boolean' || typeof input === 'string') {
+        return JSON.stringify(input);
+      }
+      if (typeof input === 'bigint') return `{"$bigint":"${input}"}`;
+      if (typeof input === 'function' || typeof input === 'symbol') {
+        throw new Error(`Cannot serialize ${typeof input} argument`);
+      }
+      if (input instanceof Date) return `{"$date":${JSON.stringify(input.toISOString())}}`;
+      if (Buffer.isBuffer(input)) return `{"$buffer":"${input.toString('base64')}"}`;
+
+      if (seen.has(input)) throw new Error('Cannot serialize circular structure');
+      seen.add(input);
+      let result;
+      if (Array.isArray(input)) {
+        result = `[${input.map(encode).join(',')}]`;
+      } else if (input instanceof Map) {
+        const entries = Array.from(input, ([key, entryValue]) => `[${encode(key)},${encode(entryValue)}]`).sort();
+        result = `{"$map":[${entries.join(',')}]}`;
+      } else if (input instanceof Set) {
+        result = `{"$set":[${Array.from(input, encode).sort().join(',')}]}`;
+      } else {
+        const keys = Object.keys(input).sort();
+        result = `{${keys.map(key => `${JSON.stringify(key)}:${encode(input[key])}`).join(',')}}`;
+      }
+      seen.delete(input);
+      return result;
+    };
+    return encode(value);
+  },
+
+  /**
+   * Hash a value into a short stable key, equal for structurally equal values
+   * @param {*} value - Value to hash
+   * @returns {string} Hex digest
+   */
+  stableHash(value) {
+    return crypto.createHash('sha1').update(EasyCache.utils.stableStringify(value)).digest('hex');
   }
 };
 
+// Export eviction policies
+EasyCache.policies = {
+  LRUPolicy,
+  LFUPolicy,
+  FIFOPolicy,
+  TinyLFUPolicy
+};
+
+// Export invalidation buses
+EasyCache.buses = {
+  MemoryInvalidationBus,
+  RedisInvalidationBus
+};
+
+// Export the OpenMetrics exporter
+EasyCache.metrics = {
+  MetricsRegistry,
+  Histogram
+};
+
+// Export the built-in serializers and the class registry they share
+EasyCache.serializers = {
+  json: serializers.json,
+  structured: serializers.structured,
+  structuredBinary: serializers['structured-binary'],
+  registerClass: serializers.registerClass
+};
+
 module.exports = EasyCache;
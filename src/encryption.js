@@ -0,0 +1,137 @@
+
+// src/encryption.js
+// Encrypts stored payloads with AES-256-GCM. An encrypted payload is a header character,
+// the id of the key it was encrypted with, a colon, and base64 of IV + auth tag + ciphertext.
+// The cache key is bound as additional authenticated data, so a payload can't be moved to another key.
+// Buffer payloads use a second header so they decrypt to Buffers again.
+const crypto = require('crypto');
+
+const HEADER = '\u0010';
+const BINARY_HEADER = '\u0011';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+function parseKey(id, key) {
+  let buffer;
+  if (Buffer.isBuffer(key)) {
+    buffer = key;
+  } else if (typeof key === 'string') {
+    buffer = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+  }
+  if (!buffer || buffer.length !== 32) {
+    throw new Error(`Encryption key ${id} must be 32 bytes, given as a Buffer, hex or base64`);
+  }
+  return buffer;
+}
+
+function createEncryptionStats() {
+  return {
+    encrypted: 0,
+    decrypted: 0,
+    reencrypted: 0, // Values rewritten with the current key after a read
+    failures: 0 // Payloads that failed authentication or used an unknown key
+  };
+}
+
+class Encryptor {
+  /**
+   * @param {Object} options - keys: { id: key } keyring, currentKeyId: key used for new writes
+   *                           (default: the last key of the keyring)
+   */
+  constructor(options = {}) {
+    const entries = Object.entries(options.keys || {});
+    if (entries.length === 0) {
+      throw new Error('Encryption requires at least one key');
+    }
+
+    this.keys = new Map();
+    for (const [id, key] of entries) {
+      if (id.includes(':')) {
+        throw new Error(`Encryption key id ${id} must not contain ':'`);
+      }
+      this.keys.set(id, parseKey(id, key));
+    }
+
+    this.currentKeyId = options.currentKeyId || entries[entries.length - 1][0];
+    if (!this.keys.has(this.currentKeyId)) {
+      throw new Error(`Unknown current encryption key: ${this.currentKeyId}`);
+    }
+    this.stats = createEncryptionStats();
+  }
+
+  /**
+   * Encrypt a payload with the current key
+   * @param {string|Buffer} payload - Serialized, possibly compressed value
+   * @param {string} aad - Cache key the payload belongs to
+   * @returns {string}
+   */
+  encrypt(payload, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.currentKeyId), iv);
+    cipher.setAAD(Buffer.from(String(aad)));
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(payload)), cipher.final()]);
+    this.stats.encrypted++;
+    const header = Buffer.isBuffer(payload) ? BINARY_HEADER : HEADER;
+    return `${header}${this.currentKeyId}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+  }
+
+  /**
+   * Decrypt a stored payload, leaving payloads stored without encryption unchanged
+   * @param {*} stored - Value read from storage
+   * @param {string} aad - Cache key the payload belongs to
+   * @returns {*} The payload
+   * @throws {Error} With code ERR_CACHE_DECRYPT when authentication fails or the key is unknown
+   */
+  decrypt(stored, aad) {
+    if (!this.isEncrypted(stored)) return stored;
+
+    const separator = stored.indexOf(':');
+    const keyId = stored.slice(1, separator);
+    try {
+      const key = this.keys.get(keyId);
+      if (!key) {
+        throw new Error(`unknown key ${keyId}`);
+      }
+
+      const data = Buffer.from(stored.slice(separator + 1), 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, IV_LENGTH));
+      decipher.setAAD(Buffer.from(String(aad)));
+      decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+      const plaintext = Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+      this.stats.decrypted++;
+      return stored[0] === BINARY_HEADER ? plaintext : plaintext.toString();
+    } catch (error) {
+      this.stats.failures++;
+      const decryptError = new Error(`Failed to decrypt cache entry ${aad}: ${error.message}`);
+      decryptError.code = 'ERR_CACHE_DECRYPT';
+      decryptError.key = aad;
+      throw decryptError;
+    }
+  }
+
+  isEncrypted(stored) {
+    return typeof stored === 'string' && (stored[0] === HEADER || stored[0] === BINARY_HEADER) &&
+      stored.indexOf(':') > 1;
+  }
+
+  /**
+   * Check whether a stored payload should be rewritten with the current key
+   */
+  needsReencryption(stored) {
+    if (!this.isEncrypted(stored)) return typeof stored === 'string' || Buffer.isBuffer(stored);
+    return stored.slice(1, stored.indexOf(':')) !== this.currentKeyId;
+  }
+
+  getStats() {
+    return {
+      currentKeyId: this.currentKeyId,
+      ...this.stats
+    };
+  }
+
+  resetStats() {
+    this.stats = createEncryptionStats();
+  }
+}
+
+module.exports = Encryptor;
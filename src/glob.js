@@ -0,0 +1,101 @@
+
+// src/glob.js
+// Redis-style glob patterns: * matches any run of characters, ? a single character,
+// [abc], [a-z] and [^abc] a character class, and a backslash escapes the next character
+
+function escapeRegExp(char) {
+  return char.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+}
+
+function escapeLike(char) {
+  return ['%', '_', '\\'].includes(char) ? `\\${char}` : char;
+}
+
+/**
+ * Escape glob special characters so that a string matches itself
+ * @param {string} str - Literal string
+ * @returns {string} Glob pattern
+ */
+function escapeGlob(str) {
+  return str.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a glob pattern into an anchored regular expression
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2);
+      let body = pattern.slice(i + 1, end);
+      const negate = body[0] === '^' || body[0] === '!';
+      if (negate) body = body.slice(1);
+      source += `[${negate ? '^' : ''}${body.replace(/[\\\]^]/g, '\\$&')}]`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Translate a glob pattern into a SQL LIKE pattern using backslash as escape character
+ * Character classes have no LIKE equivalent and become a single-character wildcard,
+ * in which case the pattern is not exact and rows must be filtered with globToRegExp.
+ * @param {string} pattern - Glob pattern
+ * @returns {{like: string, exact: boolean}}
+ */
+function globToLike(pattern) {
+  let like = '';
+  let exact = true;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      like += escapeLike(pattern[++i]);
+    } else if (char === '*') {
+      like += '%';
+    } else if (char === '?') {
+      like += '_';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      like += '_';
+      exact = false;
+      i = pattern.indexOf(']', i + 2);
+    } else {
+      like += escapeLike(char);
+    }
+  }
+  return { like, exact };
+}
+
+/**
+ * Build a predicate for keys matching a glob pattern or a RegExp
+ * @param {string|RegExp} pattern - Glob pattern or regular expression
+ * @returns {function(string): boolean}
+ */
+function createMatcher(pattern) {
+  if (pattern === '*') return () => true;
+
+  const regexp = pattern instanceof RegExp ? pattern : globToRegExp(String(pattern));
+  return key => {
+    regexp.lastIndex = 0; // Global and sticky expressions keep state between calls
+    return regexp.test(key);
+  };
+}
+
+module.exports = {
+  escapeGlob,
+  globToRegExp,
+  globToLike,
+  createMatcher
+};
@@ -0,0 +1,231 @@
+
+// src/metrics.js
+// Renders statistics of one or more caches in the OpenMetrics text format,
+// with latency histograms fed by the caches' 'timing' events.
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Upper bounds in seconds
+const DEFAULT_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatBound(bound) {
+  if (bound === Infinity) return '+Inf';
+  return Number.isInteger(bound) ? bound.toFixed(1) : String(bound);
+}
+
+class Histogram {
+  constructor(buckets = DEFAULT_BUCKETS) {
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.reset();
+  }
+
+  observe(value) {
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      this.counts[index]++;
+    }
+    this.sum += value;
+    this.count++;
+  }
+
+  /**
+   * Cumulative counts per upper bound, ending with +Inf
+   * @returns {Array<[number, number]>}
+   */
+  cumulative() {
+    let total = 0;
+    const result = this.buckets.map((bound, index) => {
+      total += this.counts[index];
+      return [bound, total];
+    });
+    result.push([Infinity, this.count]);
+    return result;
+  }
+
+  reset() {
+    this.counts = new Array(this.buckets.length).fill(0);
+    this.sum = 0;
+    this.count = 0;
+  }
+}
+
+class MetricsRegistry {
+  constructor(options = {}) {
+    this.options = {
+      prefix: options.prefix || 'easycache',
+      buckets: options.buckets || DEFAULT_BUCKETS,
+      tagMetrics: options.tagMetrics !== false, // One series per tag, disable for unbounded tag sets
+      ...options
+    };
+    this.caches = new Map(); // name -> { cache, histograms, listener }
+  }
+
+  /**
+   * Collect metrics of a cache under the `cache` label
+   * @param {EasyCache} cache - Cache instance
+   * @param {string} name - Value of the `cache` label
+   * @returns {MetricsRegistry}
+   */
+  register(cache, name = 'default') {
+    if (this.caches.has(name)) {
+      throw new Error(`A cache named ${name} is already registered`);
+    }
+
+    const histograms = new Map(); // operation -> Histogram
+    const listener = (operation, duration) => {
+      if (!histograms.has(operation)) {
+        histograms.set(operation, new Histogram(this.options.buckets));
+      }
+      histograms.get(operation).observe(duration / 1000);
+    };
+    cache.on('timing', listener);
+    this.caches.set(name, { cache, histograms, listener });
+    return this;
+  }
+
+  unregister(name) {
+    const entry = this.caches.get(name);
+    if (!entry) return false;
+    entry.cache.removeListener('timing', entry.listener);
+    this.caches.delete(name);
+    return true;
+  }
+
+  /**
+   * Private: Append a metric family, whose samples are [suffix, labels, value] triples
+   */
+  _family(lines, name, type, help, samples, unit = null) {
+    const fullName = `${this.options.prefix}_${name}`;
+    lines.push(`# TYPE ${fullName} ${type}`);
+    if (unit) {
+      lines.push(`# UNIT ${fullName} ${unit}`);
+    }
+    lines.push(`# HELP ${fullName} ${help}`);
+    for (const [suffix, labels, value] of samples) {
+      lines.push(`${fullName}${suffix}${formatLabels(labels)} ${value}`);
+    }
+  }
+
+  /**
+   * Render all registered caches in the OpenMetrics text format
+   * @returns {string}
+   */
+  render() {
+    const lines = [];
+    const caches = Array.from(this.caches.entries(), ([name, { cache, histograms }]) => ({
+      labels: { cache: name },
+      stats: cache.getStats(),
+      tags: this.options.tagMetrics ? Object.entries(cache.getAllTagStats()) : [],
+      histograms
+    }));
+
+    // [metric name, getStats() field, getStatsByTag() field or null, help]
+    const counters = [
+      ['hits', 'hits', 'hits', 'Reads answered from the cache.'],
+      ['misses', 'misses', 'misses', 'Reads that found no live entry.'],
+      ['sets', 'sets', 'sets', 'Entries written.'],
+      ['deletes', 'deletes', 'deletes', 'Entries deleted.'],
+      ['evictions', 'evictions', 'evictions', 'Entries evicted by size limits.'],
+      ['expirations', 'totalExpired', 'expirations', 'Entries removed after their TTL.'],
+      ['coalesced', 'coalesced', null, 'Loader calls saved by sharing an in-flight load.']
+    ];
+    for (const [name, stat, , help] of counters) {
+      this._family(lines, name, 'counter', help,
+        caches.map(({ labels, stats }) => ['_total', labels, stats[stat] || 0]));
+    }
+
+    this._family(lines, 'entries', 'gauge', 'Entries currently cached.',
+      caches.map(({ labels, stats }) => ['', labels, stats.size]));
+    this._family(lines, 'stored_bytes', 'gauge', 'Size of the cached entries.',
+      caches.map(({ labels, stats }) => ['', labels, stats.bytes]), 'bytes');
+
+    const tiered = caches.filter(({ stats }) => stats.tiers);
+    if (tiered.length > 0) {
+      for (const [name, stat, help] of [['tier_hits', 'hits', 'Reads answered by a storage tier.'], ['tier_misses', 'misses', 'Reads missed by a storage tier.']]) {
+        this._family(lines, name, 'counter', help, tiered.flatMap(({ labels, stats }) => (
+          Object.entries(stats.tiers).map(([tier, tierStats]) => ['_total', { ...labels, tier }, tierStats[stat]])
+        )));
+      }
+    }
+
+    if (this.options.tagMetrics) {
+      const tagSamples = (suffix, stat) => caches.flatMap(({ labels, tags }) => (
+        tags.map(([tag, tagStats]) => [suffix, { ...labels, tag }, tagStats[stat]])
+      ));
+      for (const [name, , tagStat, help] of counters) {
+        if (tagStat) {
+          this._family(lines, `tag_${name}`, 'counter', `${help} Per tag.`, tagSamples('_total', tagStat));
+        }
+      }
+      this._family(lines, 'tag_entries', 'gauge', 'Entries currently cached per tag.', tagSamples('', 'count'));
+      this._family(lines, 'tag_stored_bytes', 'gauge', 'Size of the cached entries per tag.', tagSamples('', 'bytes'), 'bytes');
+    }
+
+    const durationSamples = [];
+    for (const { labels, histograms } of caches) {
+      for (const [operation, histogram] of histograms) {
+        const seriesLabels = { ...labels, operation };
+        for (const [bound, count] of histogram.cumulative()) {
+          durationSamples.push(['_bucket', { ...seriesLabels, le: formatBound(bound) }, count]);
+        }
+        durationSamples.push(['_sum', seriesLabels, histogram.sum]);
+        durationSamples.push(['_count', seriesLabels, histogram.count]);
+      }
+    }
+    this._family(lines, 'operation_duration_seconds', 'histogram',
+      'Duration of storage reads (get), storage writes (set) and loader calls (load).', durationSamples, 'seconds');
+
+    lines.push('# EOF');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Reset the latency histograms, cache statistics are reset with cache.resetStats()
+   */
+  reset() {
+    for (const { histograms } of this.caches.values()) {
+      histograms.clear();
+    }
+    return this;
+  }
+
+  /**
+   * Request handler for http.createServer() serving the metrics on any path
+   * @returns {function(http.IncomingMessage, http.ServerResponse)}
+   */
+  handler() {
+    return (req, res) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+        return;
+      }
+
+      let body;
+      try {
+        body = this.render();
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(error.message);
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    };
+  }
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Histogram,
+  MetricsRegistry
+};
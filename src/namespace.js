@@ -0,0 +1,313 @@
+
+// src/namespace.js
+// View of an EasyCache whose keys are transparently prefixed with the namespace name.
+// Storage, eviction policy and global limits are shared with the parent cache, which also
+// counts the evictions of each namespace, see EasyCache#namespace().
+const { escapeGlob } = require('./glob');
+
+class CacheNamespace {
+  constructor(parent, name, options = {}) {
+    this.parent = parent;
+    this.name = name;
+    this.prefix = `${name}:`;
+    this.options = {
+      maxSize: options.maxSize || 0, // 0 = only the parent's limits apply
+      defaultTTL: options.defaultTTL !== undefined ? options.defaultTTL : null, // null = parent's default
+      ...options
+    };
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      sets: 0,
+      deletes: 0,
+      evictions: 0
+    };
+  }
+
+  _key(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  _owns(fullKey) {
+    return typeof fullKey === 'string' && fullKey.startsWith(this.prefix);
+  }
+
+  _strip(fullKey) {
+    return fullKey.slice(this.prefix.length);
+  }
+
+  _ttl(ttl) {
+    return ttl !== null ? ttl : this.options.defaultTTL;
+  }
+
+  _record(stat) {
+    if (this.parent.options.enableStats) {
+      this.stats[stat]++;
+    }
+  }
+
+  // Full keys of this namespace currently tracked by the parent
+  _localKeys() {
+    return Array.from(this.parent.cache.keys()).filter(key => this._owns(key));
+  }
+
+  /**
+   * Private: Evict within the namespace until a new key fits its maxSize
+   */
+  async _makeRoom(fullKey) {
+    if (!this.options.maxSize || this.parent.cache.has(fullKey)) return;
+
+    let localKeys = this._localKeys();
+    while (localKeys.length >= this.options.maxSize) {
+      const victimKey = this.parent.policy.victim(localKeys);
+      if (victimKey === undefined) return;
+
+      this.parent._recordTagStat(this.parent.cache.get(victimKey), 'evictions');
+      await this.parent._deleteItem(victimKey);
+      if (this.parent.options.enableStats) {
+        this.parent.stats.evictions++;
+      }
+      this.parent.emit('evicted', victimKey, null);
+      this.parent.emit(`evicted:${victimKey}`, null);
+      localKeys = localKeys.filter(key => key !== victimKey);
+    }
+  }
+
+  /**
+   * Set cache value in the namespace
+   * @param {string} key - Cache key, without the namespace prefix
+   * @param {*} value - Cache value
+   * @param {number} ttl - Time to live in milliseconds
+   * @returns {CacheNamespace|boolean}
+   */
+  async set(key, value, ttl = null, tags = [], condition = null) {
+    const fullKey = this._key(key);
+    if (typeof condition === 'function' && !condition(key, value)) {
+      return false;
+    }
+
+    await this._makeRoom(fullKey);
+    const result = await this.parent.set(fullKey, value, this._ttl(ttl), tags);
+    if (result === false) return false;
+
+    this._record('sets');
+    return this;
+  }
+
+  /**
+   * Get cache value from the namespace
+   * @param {string} key - Cache key, without the namespace prefix
+   * @returns {*} Cache value or undefined
+   */
+  async get(key) {
+    const value = await this.parent.get(this._key(key));
+    this._record(value === undefined ? 'misses' : 'hits');
+    return value;
+  }
+
+  async has(key) {
+    return this.parent.has(this._key(key));
+  }
+
+  async delete(key) {
+    const fullKey = this._key(key);
+    if (this.parent.cache.has(fullKey)) {
+      this._record('deletes');
+    }
+    await this.parent.delete(fullKey);
+    return this;
+  }
+
+  /**
+   * Get or set with function in the namespace
+   * @param {string} key - Cache key, without the namespace prefix
+   * @param {function} fn - Function to generate value if not exists
+   * @param {number} ttl - Time to live
+   * @param {Object} loaderOptions - Options to pass to the loader function
+   * @returns {*} Cache value
+   */
+  async getOrSet(key, fn, ttl = null, loaderOptions = {}) {
+    const fullKey = this._key(key);
+    let loaded = false;
+
+    const value = await this.parent.getOrSet(fullKey, async (options) => {
+      loaded = true;
+      const loadedValue = await fn(options);
+      await this._makeRoom(fullKey);
+      return loadedValue;
+    }, this._ttl(ttl), loaderOptions);
+
+    if (loaded) {
+      this._record('misses');
+      this._record('sets');
+    } else {
+      this._record('hits');
+    }
+    return value;
+  }
+
+  async setMultiple(items, ttl = null) {
+    await Promise.all(Object.entries(items).map(([key, value]) => this.set(key, value, ttl)));
+    return this;
+  }
+
+  async getMultiple(keys) {
+    const result = {};
+    await Promise.all(keys.map(async (key) => {
+      const value = await this.get(key);
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    }));
+    return result;
+  }
+
+  async deleteMultiple(keys) {
+    await Promise.all(keys.map(key => this.delete(key)));
+    return this;
+  }
+
+  /**
+   * Get all items of the namespace associated with a tag
+   * @param {string} tag - The tag to retrieve items for
+   * @returns {Object} Key-value pairs, without the namespace prefix
+   */
+  async getByTag(tag) {
+    return this._getFullKeys(this.parent._keysForTag(tag));
+  }
+
+  /**
+   * Get all items of the namespace matching a tag query
+   * @param {Object} query - all, any and none arrays of tags
+   * @returns {Object} Key-value pairs, without the namespace prefix
+   */
+  async getByTags(query) {
+    return this._getFullKeys(this.parent._keysForTags(query));
+  }
+
+  async _getFullKeys(fullKeys) {
+    const result = {};
+    for (const fullKey of Array.from(fullKeys).filter(key => this._owns(key))) {
+      const value = await this.get(this._strip(fullKey));
+      if (value !== undefined) {
+        result[this._strip(fullKey)] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Delete all items of the namespace associated with a tag
+   * @param {string} tag - The tag to delete items for
+   * @returns {boolean} True if any items were deleted
+   */
+  async deleteByTag(tag) {
+    return this._deleteFullKeys(this.parent._keysForTag(tag));
+  }
+
+  /**
+   * Delete all items of the namespace matching a tag query
+   * @param {Object} query - all, any and none arrays of tags
+   * @returns {boolean} True if any items were deleted
+   */
+  async deleteByTags(query) {
+    return this._deleteFullKeys(this.parent._keysForTags(query));
+  }
+
+  async _deleteFullKeys(fullKeys) {
+    const keys = Array.from(fullKeys).filter(key => this._owns(key)).map(key => this._strip(key));
+    await this.deleteMultiple(keys);
+    return keys.length > 0;
+  }
+
+  getInfo(key) {
+    const info = this.parent.getInfo(this._key(key));
+    return info ? { ...info, key } : null;
+  }
+
+  touch(key, ttl) {
+    return this.parent.touch(this._key(key), ttl) ? this : false;
+  }
+
+  /**
+   * Clear the namespace only, leaving other keys of the parent untouched
+   */
+  async clear() {
+    const fullKeys = (await this.parent.keys()).filter(key => this._owns(key));
+    await Promise.all(fullKeys.map(fullKey => this.parent.delete(fullKey)));
+    return this;
+  }
+
+  /**
+   * Iterate over keys of the namespace matching a pattern
+   * @param {Object} options - match (glob pattern or RegExp, without the namespace prefix) and count
+   * @returns {AsyncIterator<string>} Keys without the namespace prefix
+   */
+  async *scan(options = {}) {
+    const { match = '*', count } = options;
+    const prefixGlob = escapeGlob(this.prefix);
+
+    // A RegExp can't be combined with the prefix glob, so it is applied to the stripped keys
+    const parentMatch = match instanceof RegExp ? `${prefixGlob}*` : `${prefixGlob}${match}`;
+    for await (const fullKey of this.parent.scan({ match: parentMatch, count })) {
+      const key = this._strip(fullKey);
+      if (match instanceof RegExp) {
+        match.lastIndex = 0;
+        if (!match.test(key)) continue;
+      }
+      yield key;
+    }
+  }
+
+  /**
+   * Delete all items of the namespace whose key matches a pattern
+   * @param {string|RegExp} pattern - Glob pattern or RegExp, without the namespace prefix
+   * @returns {number} Number of deleted keys
+   */
+  async deleteByPattern(pattern, options = {}) {
+    const keys = [];
+    for await (const key of this.scan({ match: pattern, count: options.count })) {
+      keys.push(key);
+    }
+    await this.deleteMultiple(keys);
+    return keys.length;
+  }
+
+  /**
+   * Get all keys of the namespace
+   * @returns {Array<string>} Keys without the namespace prefix
+   */
+  async keys() {
+    const fullKeys = await this.parent.keys();
+    return fullKeys.filter(key => this._owns(key)).map(key => this._strip(key));
+  }
+
+  async size() {
+    return (await this.keys()).length;
+  }
+
+  /**
+   * Get statistics of the namespace
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      size: this._localKeys().length,
+      hitRate: this.stats.hits / (this.stats.hits + this.stats.misses) || 0
+    };
+  }
+
+  resetStats() {
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      sets: 0,
+      deletes: 0,
+      evictions: 0
+    };
+    return this;
+  }
+}
+
+module.exports = CacheNamespace;
@@ -0,0 +1,48 @@
+
+// src/policies/fifo.js
+// First in, first out by creation time; reads do not change the order
+class FIFOPolicy {
+  constructor() {
+    this.order = new Map(); // key -> createdAt, in insertion order
+  }
+  
+  onInsert(key, item) {
+    // A rewritten key counts as newly created
+    this.order.delete(key);
+    this.order.set(key, item.createdAt);
+  }
+  
+  onAccess() {}
+  
+  onRemove(key) {
+    this.order.delete(key);
+  }
+  
+  /**
+   * Pick the key to evict
+   * @param {Iterable<string>} candidates - Restrict the choice to these keys
+   * @returns {string|undefined}
+   */
+  victim(candidates) {
+    if (!candidates) {
+      return this.order.keys().next().value;
+    }
+    
+    let oldestKey;
+    let oldestTime = Infinity;
+    for (const key of candidates) {
+      const createdAt = this.order.get(key);
+      if (createdAt !== undefined && createdAt < oldestTime) {
+        oldestTime = createdAt;
+        oldestKey = key;
+      }
+    }
+    return oldestKey;
+  }
+  
+  clear() {
+    this.order.clear();
+  }
+}
+
+module.exports = FIFOPolicy;
@@ -0,0 +1,13 @@
+
+// src/policies/index.js
+const LRUPolicy = require('./lru');
+const LFUPolicy = require('./lfu');
+const FIFOPolicy = require('./fifo');
+const TinyLFUPolicy = require('./tinylfu');
+
+module.exports = {
+  LRUPolicy,
+  LFUPolicy,
+  FIFOPolicy,
+  TinyLFUPolicy,
+};
@@ -0,0 +1,79 @@
+
+// src/policies/lfu.js
+// Least frequently used by accessCount, least recently used among equals
+class LFUPolicy {
+  constructor() {
+    this.frequencies = new Map(); // key -> accessCount
+    this.buckets = new Map(); // accessCount -> Set of keys, oldest first
+    this.minFrequency = 0;
+  }
+  
+  _place(key, frequency) {
+    this._unplace(key);
+    if (!this.buckets.has(frequency)) {
+      this.buckets.set(frequency, new Set());
+    }
+    this.buckets.get(frequency).add(key);
+    this.frequencies.set(key, frequency);
+    if (this.frequencies.size === 1 || frequency < this.minFrequency) {
+      this.minFrequency = frequency;
+    }
+  }
+  
+  _unplace(key) {
+    const frequency = this.frequencies.get(key);
+    if (frequency === undefined) return;
+    const bucket = this.buckets.get(frequency);
+    bucket.delete(key);
+    if (bucket.size === 0) {
+      this.buckets.delete(frequency);
+    }
+    this.frequencies.delete(key);
+  }
+  
+  onInsert(key, item) {
+    this._place(key, item.accessCount);
+  }
+  
+  onAccess(key, item) {
+    this._place(key, item.accessCount);
+  }
+  
+  onRemove(key) {
+    this._unplace(key);
+  }
+  
+  /**
+   * Pick the key to evict
+   * @param {Iterable<string>} candidates - Restrict the choice to these keys
+   * @returns {string|undefined}
+   */
+  victim(candidates) {
+    if (!candidates) {
+      if (!this.buckets.has(this.minFrequency)) {
+        if (this.buckets.size === 0) return undefined;
+        this.minFrequency = Math.min(...this.buckets.keys());
+      }
+      return this.buckets.get(this.minFrequency).values().next().value;
+    }
+    
+    let leastKey;
+    let leastFrequency = Infinity;
+    for (const key of candidates) {
+      const frequency = this.frequencies.get(key);
+      if (frequency !== undefined && frequency < leastFrequency) {
+        leastFrequency = frequency;
+        leastKey = key;
+      }
+    }
+    return leastKey;
+  }
+  
+  clear() {
+    this.frequencies.clear();
+    this.buckets.clear();
+    this.minFrequency = 0;
+  }
+}
+
+module.exports = LFUPolicy;
@@ -0,0 +1,78 @@
+
+// src/policies/lru.js
+// Least recently used, kept in a doubly linked list for O(1) updates
+class LRUPolicy {
+  constructor() {
+    this.nodes = new Map(); // key -> { key, prev, next }
+    this.head = null; // Least recently used
+    this.tail = null; // Most recently used
+  }
+  
+  _unlink(node) {
+    if (node.prev) node.prev.next = node.next;
+    else this.head = node.next;
+    if (node.next) node.next.prev = node.prev;
+    else this.tail = node.prev;
+    node.prev = null;
+    node.next = null;
+  }
+  
+  _append(node) {
+    node.prev = this.tail;
+    node.next = null;
+    if (this.tail) this.tail.next = node;
+    else this.head = node;
+    this.tail = node;
+  }
+  
+  _touch(key) {
+    let node = this.nodes.get(key);
+    if (node) {
+      this._unlink(node);
+    } else {
+      node = { key, prev: null, next: null };
+      this.nodes.set(key, node);
+    }
+    this._append(node);
+  }
+  
+  onInsert(key) {
+    this._touch(key);
+  }
+  
+  onAccess(key) {
+    this._touch(key);
+  }
+  
+  onRemove(key) {
+    const node = this.nodes.get(key);
+    if (!node) return;
+    this._unlink(node);
+    this.nodes.delete(key);
+  }
+  
+  /**
+   * Pick the key to evict
+   * @param {Iterable<string>} candidates - Restrict the choice to these keys
+   * @returns {string|undefined}
+   */
+  victim(candidates) {
+    if (!candidates) {
+      return this.head ? this.head.key : undefined;
+    }
+    
+    const allowed = new Set(candidates);
+    for (let node = this.head; node; node = node.next) {
+      if (allowed.has(node.key)) return node.key;
+    }
+    return undefined;
+  }
+  
+  clear() {
+    this.nodes.clear();
+    this.head = null;
+    this.tail = null;
+  }
+}
+
+module.exports = LRUPolicy;
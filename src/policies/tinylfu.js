@@ -0,0 +1,175 @@
+
+// src/policies/tinylfu.js
+// W-TinyLFU: new keys enter a small LRU window, and a key leaving the window only
+// displaces an entry of the main cache if it has been requested more often
+const LRUPolicy = require('./lru');
+
+// Count-min sketch estimating how often each key was requested
+class FrequencySketch {
+  constructor(capacity) {
+    this.width = 1;
+    while (this.width < Math.max(16, capacity) * 4) {
+      this.width *= 2;
+    }
+    this.depth = 4;
+    this.table = new Uint8Array(this.width * this.depth);
+    this.sampleSize = Math.max(16, capacity) * 10;
+    this.additions = 0;
+  }
+
+  _indexes(key) {
+    // FNV-1a, with a second hash derived from it for double hashing across rows
+    let hash = 2166136261;
+    const str = String(key);
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    let step = Math.imul(hash ^ (hash >>> 15), 0x2c1b3c6d);
+    step = (step ^ (step >>> 12)) | 1;
+
+    const indexes = [];
+    for (let row = 0; row < this.depth; row++) {
+      indexes.push(row * this.width + ((hash + row * step) >>> 0) % this.width);
+    }
+    return indexes;
+  }
+
+  increment(key) {
+    for (const index of this._indexes(key)) {
+      if (this.table[index] < 15) {
+        this.table[index]++;
+      }
+    }
+
+    // Age all counters so that old popularity fades
+    if (++this.additions >= this.sampleSize) {
+      for (let i = 0; i < this.table.length; i++) {
+        this.table[i] >>= 1;
+      }
+      this.additions = Math.floor(this.additions / 2);
+    }
+  }
+
+  frequency(key) {
+    let min = Infinity;
+    for (const index of this._indexes(key)) {
+      min = Math.min(min, this.table[index]);
+    }
+    return min;
+  }
+
+  clear() {
+    this.table.fill(0);
+    this.additions = 0;
+  }
+}
+
+class TinyLFUPolicy {
+  constructor(options = {}) {
+    const capacity = options.maxSize || 1000;
+    this.windowSize = Math.max(1, Math.round(capacity * (options.windowRatio || 0.01)));
+    this.protectedSize = Math.max(1, Math.round((capacity - this.windowSize) * 0.8));
+
+    this.sketch = new FrequencySketch(capacity);
+    this.window = new LRUPolicy();
+    this.probation = new LRUPolicy(); // Main cache, accessed once
+    this.protected = new LRUPolicy(); // Main cache, accessed again while in probation
+    this.segments = new Map(); // key -> segment
+  }
+
+  _move(key, segment) {
+    this.segments.get(key).onRemove(key);
+    segment.onInsert(key);
+    this.segments.set(key, segment);
+  }
+
+  _reorder(key) {
+    const segment = this.segments.get(key);
+    if (segment === this.probation) {
+      this._move(key, this.protected);
+      if (this.protected.nodes.size > this.protectedSize) {
+        this._move(this.protected.victim(), this.probation);
+      }
+    } else if (segment) {
+      segment.onAccess(key);
+    }
+  }
+
+  onInsert(key) {
+    this.sketch.increment(key);
+    if (this.segments.has(key)) {
+      this._reorder(key);
+      return;
+    }
+
+    this.window.onInsert(key);
+    this.segments.set(key, this.window);
+
+    // While the cache has room, keys leaving the window enter the main cache freely
+    if (this.window.nodes.size > this.windowSize) {
+      this._move(this.window.victim(), this.probation);
+    }
+  }
+
+  onAccess(key) {
+    this.sketch.increment(key);
+    this._reorder(key);
+  }
+
+  onMiss(key) {
+    this.sketch.increment(key);
+  }
+
+  onRemove(key) {
+    const segment = this.segments.get(key);
+    if (!segment) return;
+    segment.onRemove(key);
+    this.segments.delete(key);
+  }
+
+  /**
+   * Pick the key to evict
+   * @param {Iterable<string>} candidates - Restrict the choice to these keys
+   * @returns {string|undefined}
+   */
+  victim(candidates) {
+    if (candidates) {
+      let leastKey;
+      let leastFrequency = Infinity;
+      for (const key of candidates) {
+        if (!this.segments.has(key)) continue;
+        const frequency = this.sketch.frequency(key);
+        if (frequency < leastFrequency) {
+          leastFrequency = frequency;
+          leastKey = key;
+        }
+      }
+      return leastKey;
+    }
+
+    const mainVictim = this.probation.victim() ?? this.protected.victim();
+    const windowCandidate = this.window.victim();
+    if (windowCandidate === undefined) return mainVictim;
+    if (mainVictim === undefined || this.window.nodes.size < this.windowSize) {
+      return mainVictim ?? windowCandidate;
+    }
+
+    // The window is full: its oldest key competes with the main cache victim
+    if (this.sketch.frequency(windowCandidate) > this.sketch.frequency(mainVictim)) {
+      this._move(windowCandidate, this.probation);
+      return mainVictim;
+    }
+    return windowCandidate;
+  }
+
+  clear() {
+    this.sketch.clear();
+    this.window.clear();
+    this.probation.clear();
+    this.protected.clear();
+    this.segments.clear();
+  }
+}
+
+module.exports = TinyLFUPolicy;
@@ -0,0 +1,212 @@
+
+// src/serializers.js
+// Built-in serializers selectable by name through the serialize option.
+// 'structured' is JSON in which values JSON can't represent are tagged objects such as
+// { "$t": "Date", "v": 0 }. 'structured-binary' relies on V8's serializer, which handles
+// those types natively, and only tags instances of registered classes.
+const v8 = require('v8');
+
+const TAG = '$t';
+const TYPED_ARRAYS = [
+  Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+  Int32Array, Uint32Array, Float32Array, Float64Array, BigInt64Array, BigUint64Array
+];
+const TYPED_ARRAYS_BY_NAME = new Map(TYPED_ARRAYS.map(type => [type.name, type]));
+
+const classes = new Map(); // name -> { type, serialize, deserialize }
+
+/**
+ * Register a class so that its instances keep their prototype through structured serializers
+ * @param {function} type - Class constructor
+ * @param {Object} options - name (default: type.name), serialize(instance) returning the data
+ *                           to store, deserialize(data) returning an instance
+ */
+function registerClass(type, options = {}) {
+  const name = options.name || type.name;
+  if (!name) {
+    throw new Error('Registered classes need a name');
+  }
+  classes.set(name, {
+    type,
+    serialize: options.serialize || (instance => ({ ...instance })),
+    deserialize: options.deserialize || (data => Object.assign(Object.create(type.prototype), data))
+  });
+}
+
+function findClass(value) {
+  for (const [name, entry] of classes) {
+    if (Object.getPrototypeOf(value) === entry.type.prototype) return [name, entry];
+  }
+  return null;
+}
+
+function bytesOf(view) {
+  return Buffer.from(view.buffer, view.byteOffset, view.byteLength);
+}
+
+/**
+ * Turn a value into a tree the target format can hold
+ * @param {*} value - Value to encode
+ * @param {boolean} binary - Leave types V8 serializes natively untouched
+ */
+function encode(value, binary, seen = new Set()) {
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') return value;
+  if (typeof value === 'number') {
+    if (binary || (Number.isFinite(value) && !Object.is(value, -0))) return value;
+    return { [TAG]: 'Number', v: String(Object.is(value, -0) ? '-0' : value) };
+  }
+  if (value === undefined) return binary ? value : { [TAG]: 'undefined' };
+  if (typeof value === 'bigint') return binary ? value : { [TAG]: 'BigInt', v: value.toString() };
+  if (typeof value === 'function' || typeof value === 'symbol') {
+    throw new Error(`Cannot serialize ${typeof value}`);
+  }
+
+  if (binary && (value instanceof Date || value instanceof RegExp || value instanceof Error ||
+    ArrayBuffer.isView(value) || value instanceof ArrayBuffer)) {
+    return value;
+  }
+  if (value instanceof Date) return { [TAG]: 'Date', v: Number.isNaN(value.getTime()) ? null : value.getTime() };
+  if (value instanceof RegExp) return { [TAG]: 'RegExp', source: value.source, flags: value.flags };
+  if (Buffer.isBuffer(value)) return { [TAG]: 'Buffer', v: value.toString('base64') };
+  if (ArrayBuffer.isView(value) && TYPED_ARRAYS_BY_NAME.has(value.constructor.name)) {
+    return { [TAG]: value.constructor.name, v: bytesOf(value).toString('base64') };
+  }
+  if (value instanceof ArrayBuffer) return { [TAG]: 'ArrayBuffer', v: Buffer.from(value).toString('base64') };
+  if (value instanceof Error) {
+    return { [TAG]: 'Error', name: value.name, message: value.message, stack: value.stack };
+  }
+
+  if (seen.has(value)) {
+    throw new Error('Cannot serialize circular structure');
+  }
+  seen.add(value);
+  try {
+    if (Array.isArray(value)) {
+      return value.map(item => encode(item, binary, seen));
+    }
+    if (value instanceof Map) {
+      const entries = Array.from(value, ([key, item]) => [encode(key, binary, seen), encode(item, binary, seen)]);
+      return binary ? new Map(entries) : { [TAG]: 'Map', v: entries };
+    }
+    if (value instanceof Set) {
+      const items = Array.from(value, item => encode(item, binary, seen));
+      return binary ? new Set(items) : { [TAG]: 'Set', v: items };
+    }
+
+    const registered = findClass(value);
+    if (registered) {
+      const [name, entry] = registered;
+      return { [TAG]: 'Class', name, v: encode(entry.serialize(value), binary, seen) };
+    }
+
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = encode(value[key], binary, seen);
+    }
+    // A plain object that looks like a tagged value is wrapped so it decodes as itself
+    return Object.prototype.hasOwnProperty.call(value, TAG) ? { [TAG]: 'Object', v: result } : result;
+  } finally {
+    seen.delete(value);
+  }
+}
+
+function decodeTagged(value, binary) {
+  switch (value[TAG]) {
+    case 'Number': return Number(value.v);
+    case 'undefined': return undefined;
+    case 'BigInt': return BigInt(value.v);
+    case 'Date': return new Date(value.v === null ? NaN : value.v);
+    case 'RegExp': return new RegExp(value.source, value.flags);
+    case 'Buffer': return Buffer.from(value.v, 'base64');
+    case 'ArrayBuffer': {
+      const bytes = Buffer.from(value.v, 'base64');
+      return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+    }
+    case 'Error': {
+      const error = new Error(value.message);
+      error.name = value.name;
+      error.stack = value.stack;
+      return error;
+    }
+    case 'Map': return new Map(value.v.map(([key, item]) => [decode(key, binary), decode(item, binary)]));
+    case 'Set': return new Set(value.v.map(item => decode(item, binary)));
+    case 'Object': return decodeObject(value.v, binary);
+    case 'Class': {
+      const entry = classes.get(value.name);
+      if (!entry) {
+        throw new Error(`Cannot deserialize unregistered class: ${value.name}`);
+      }
+      return entry.deserialize(decode(value.v, binary));
+    }
+    default: {
+      const type = TYPED_ARRAYS_BY_NAME.get(value[TAG]);
+      if (!type) {
+        throw new Error(`Unknown serialized type: ${value[TAG]}`);
+      }
+      const bytes = Buffer.from(value.v, 'base64');
+      // Copy into an aligned buffer of its own
+      const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+      return new type(buffer);
+    }
+  }
+}
+
+function decodeObject(value, binary) {
+  const result = {};
+  for (const key of Object.keys(value)) {
+    result[key] = decode(value[key], binary);
+  }
+  return result;
+}
+
+/**
+ * Rebuild a value from a tree produced by encode()
+ */
+function decode(value, binary) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => decode(item, binary));
+  if (value instanceof Map) {
+    return new Map(Array.from(value, ([key, item]) => [decode(key, binary), decode(item, binary)]));
+  }
+  if (value instanceof Set) return new Set(Array.from(value, item => decode(item, binary)));
+  if (binary && Object.getPrototypeOf(value) !== Object.prototype) return value; // Native V8 types
+
+  if (typeof value[TAG] === 'string') return decodeTagged(value, binary);
+  return decodeObject(value, binary);
+}
+
+// Binary payloads written by JSON based adapters before they stored Buffers as base64 come back in Buffer's JSON form
+function toBuffer(payload) {
+  if (Buffer.isBuffer(payload)) return payload;
+  if (payload instanceof Uint8Array) return Buffer.from(payload.buffer, payload.byteOffset, payload.byteLength);
+  if (payload && payload.type === 'Buffer' && Array.isArray(payload.data)) return Buffer.from(payload.data);
+  throw new Error('Binary payload expected');
+}
+
+const structured = {
+  serialize: value => JSON.stringify(encode(value, false)),
+  deserialize: payload => decode(JSON.parse(payload), false)
+};
+
+const structuredBinary = {
+  serialize: value => v8.serialize(encode(value, true)),
+  deserialize: payload => decode(v8.deserialize(toBuffer(payload)), true)
+};
+
+// Trees of JSON-compatible values, for formats embedding values in JSON of their own
+const encodeStructured = value => encode(value, false);
+const decodeStructured = tree => decode(tree, false);
+
+const json = {
+  serialize: JSON.stringify,
+  deserialize: JSON.parse
+};
+
+module.exports = {
+  json,
+  structured,
+  'structured-binary': structuredBinary,
+  registerClass,
+  encodeStructured,
+  decodeStructured
+};
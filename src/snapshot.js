@@ -0,0 +1,122 @@
+
+// src/snapshot.js
+// Snapshots are NDJSON: a header line followed by one line per entry.
+//   {"type":"header","format":"easycache-snapshot","version":2,"encoding":"structured","createdAt":1700000000000}
+//   {"type":"entry","key":"user:1","value":{...},"ttl":5000,"tags":["users"]}
+// ttl is the remaining lifetime in milliseconds when the snapshot was taken (0 = no expiration).
+// The header's encoding tells how values are written: 'structured' (the tagged JSON of the
+// structured serializer, so Maps, Dates or BigInts survive) or 'json', the plain JSON values
+// of version 1 snapshots, which have no encoding field.
+const { StringDecoder } = require('string_decoder');
+const { encodeStructured, decodeStructured } = require('./serializers');
+
+const SNAPSHOT_FORMAT = 'easycache-snapshot';
+const SNAPSHOT_VERSION = 2;
+const SNAPSHOT_ENCODING = 'structured';
+const VALUE_DECODERS = {
+  json: value => value,
+  structured: decodeStructured
+};
+
+function encodeLine(record) {
+  return `${JSON.stringify(record)}\n`;
+}
+
+function encodeHeader(createdAt = Date.now()) {
+  return encodeLine({
+    type: 'header',
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    encoding: SNAPSHOT_ENCODING,
+    createdAt
+  });
+}
+
+/**
+ * Encode an entry line
+ * @throws {Error} When the value can't be encoded, such as a function
+ */
+function encodeEntry(key, value, ttl, tags) {
+  return encodeLine({ type: 'entry', key, value: encodeStructured(value), ttl, tags });
+}
+
+/**
+ * Split a snapshot into lines
+ * @param {string|Buffer|Iterable|AsyncIterable} source - Whole snapshot, or chunks of it such as a readable stream
+ */
+async function* readLines(source) {
+  const chunks = typeof source === 'string' || Buffer.isBuffer(source) ? [source] : source;
+  const decoder = new StringDecoder('utf8'); // Multi-byte characters may span Buffer chunks
+  let pending = '';
+
+  for await (const chunk of chunks) {
+    pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield line;
+    }
+  }
+  pending += decoder.end();
+  if (pending.trim()) yield pending;
+}
+
+/**
+ * Parse a snapshot, validating its header
+ * @param {string|Buffer|Iterable|AsyncIterable} source - Snapshot produced by dump()
+ * @returns {AsyncIterator<Object>} The header record, then the entry records
+ */
+async function* readSnapshot(source) {
+  let header = null;
+  let decodeValue = null;
+  let lineNumber = 0;
+
+  for await (const line of readLines(source)) {
+    lineNumber++;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid snapshot line ${lineNumber}: ${error.message}`);
+    }
+
+    if (!header) {
+      if (!record || record.type !== 'header' || record.format !== SNAPSHOT_FORMAT) {
+        throw new Error('Invalid snapshot: missing header');
+      }
+      if (record.version > SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version: ${record.version}`);
+      }
+      header = record;
+      decodeValue = Object.prototype.hasOwnProperty.call(VALUE_DECODERS, header.encoding || 'json')
+        ? VALUE_DECODERS[header.encoding || 'json']
+        : null;
+      if (!decodeValue) {
+        throw new Error(`Unsupported snapshot encoding: ${header.encoding}`);
+      }
+      yield header;
+    } else if (record && record.type === 'entry') {
+      let value;
+      try {
+        value = decodeValue(record.value);
+      } catch (error) {
+        throw new Error(`Invalid snapshot line ${lineNumber}: ${error.message}`);
+      }
+      yield { ...record, value };
+    }
+    // Unknown record types are skipped so newer minor additions stay readable
+  }
+
+  if (!header) {
+    throw new Error('Invalid snapshot: missing header');
+  }
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  SNAPSHOT_ENCODING,
+  encodeHeader,
+  encodeEntry,
+  readSnapshot
+};
@@ -65,6 +65,247 @@ async function runTests() {
   assert(await lruCache.has('lru3') === true, 'LRU preserves newest items');
   lruCache.destroy();
   
+  // Test 4.1: Byte-Size Eviction
+  console.log('\nTest 4.1: Byte-Size Eviction');
+  const bytesCache = new EasyCache({ maxBytes: 250 });
+  const blob = 'x'.repeat(100); // 102 bytes once serialized
+  await bytesCache.set('blob1', blob);
+  await bytesCache.set('blob2', blob);
+  assert(bytesCache.getStats().bytes === 204, 'Stats report current bytes');
+  await bytesCache.set('blob3', blob); // Should evict blob1
+  assert(await bytesCache.has('blob1') === false, 'Byte budget evicts least recently used items');
+  assert(await bytesCache.has('blob3') === true, 'Byte budget keeps the new item');
+  assert(bytesCache.getStats().bytes <= 250, 'Byte budget is respected');
+  assert(await bytesCache.set('huge', 'x'.repeat(300)) === false, 'Items larger than the budget are not cached');
+  await bytesCache.set('tagged_blob', 'small', null, ['t']);
+  await bytesCache.set('tagged_blob', 'x'.repeat(300), null, ['t']);
+  assert(Object.keys(await bytesCache.getByTag('t')).length === 1, 'Rejected oversized values keep the old entry in the tag index');
+  bytesCache.destroy();
+
+  const sizeOfCache = new EasyCache({ maxBytes: 10, sizeOf: () => 4 });
+  await sizeOfCache.setMultiple({ a: 1, b: 2 });
+  await sizeOfCache.set('c', 3);
+  assert(sizeOfCache.getStats().bytes === 8, 'Custom sizeOf function is used');
+  sizeOfCache.destroy();
+  
+  // Test 4.1.1: Compression
+  console.log('\nTest 4.1.1: Compression');
+  const largeValue = { rows: Array.from({ length: 200 }, (_, i) => ({ id: i, status: 'active' })) };
+  const compressionTargets = [
+    ['memory', {}],
+    ['file', { filePath: './test_cache_files/test_compressed_cache.dat' }],
+    ['patch', { filePath: './test_cache_files/test_patch_cache.json' }]
+  ];
+  for (const algorithm of ['gzip', 'deflate', 'brotli']) {
+    for (const [storage, storageOptions] of compressionTargets) {
+      const compressedCache = new EasyCache({ storage, storageOptions, compression: { algorithm, threshold: 256 } });
+      await compressedCache.clear();
+      await compressedCache.set('large', largeValue);
+      await compressedCache.set('small', { id: 1 });
+      const ok = JSON.stringify(await compressedCache.get('large')) === JSON.stringify(largeValue) &&
+        JSON.stringify(await compressedCache.get('small')) === JSON.stringify({ id: 1 });
+      assert(ok, `${algorithm} compression round-trips values with the ${storage} adapter`);
+      const compressionStats = compressedCache.getStats().compression;
+      assert(compressionStats.compressed === 1 && compressionStats.skipped === 1, `${algorithm} compression skips values below the threshold (${storage})`);
+      await compressedCache.clear();
+      compressedCache.destroy();
+    }
+  }
+
+  const { MemoryAdapter: RawMemoryAdapter } = require('../src/adapters');
+  const rawStore = new RawMemoryAdapter();
+  const plainCache = new EasyCache({ storage: rawStore });
+  await plainCache.set('legacy', { written: 'before compression' });
+
+  const ratioCache = new EasyCache({ storage: rawStore, compression: 'gzip' });
+  await ratioCache.set('large', largeValue);
+  const ratioStats = ratioCache.getStats().compression;
+  assert(ratioStats.ratio < 0.5 && ratioStats.compressTime >= 0, 'Stats report compression ratio and time');
+  assert(ratioCache.getStats().bytes < JSON.stringify(largeValue).length, 'Byte budget counts the compressed size');
+  assert((await rawStore.get('large')).charCodeAt(0) === 1, 'Compressed payloads start with a header byte');
+  assert((await ratioCache.get('legacy')).written === 'before compression', 'Entries stored without compression are still readable');
+  ratioCache.destroy();
+  plainCache.destroy();
+
+  // Test 4.1.2: Encryption
+  console.log('\nTest 4.1.2: Encryption');
+  const crypto = require('crypto');
+  const oldKey = crypto.randomBytes(32);
+  const newKey = crypto.randomBytes(32).toString('hex');
+  const encryptedStore = new RawMemoryAdapter();
+  const oldKeyCache = new EasyCache({ storage: encryptedStore, encryption: { keys: { k1: oldKey } } });
+  await oldKeyCache.set('ssn', { ssn: '123-45-6789' });
+  await oldKeyCache.set('email', 'ada@example.com');
+  const encryptedPayload = await encryptedStore.get('ssn');
+  assert(!encryptedPayload.includes('123-45-6789') && encryptedPayload.startsWith('\u0010k1:'), 'Values are stored encrypted');
+  assert((await oldKeyCache.get('ssn')).ssn === '123-45-6789', 'Encrypted values are decrypted on read');
+
+  const rotatedCache = new EasyCache({
+    storage: encryptedStore,
+    encryption: { keys: { k1: oldKey, k2: newKey }, currentKeyId: 'k2' },
+    compression: { threshold: 0 }
+  });
+  assert((await rotatedCache.get('ssn')).ssn === '123-45-6789', 'Values encrypted with an old key stay readable');
+  await new Promise(resolve => setImmediate(resolve));
+  assert((await encryptedStore.get('ssn')).startsWith('\u0010k2:'), 'Values are re-encrypted with the current key on read');
+  assert(rotatedCache.getStats().encryption.reencrypted === 1, 'Stats count re-encrypted values');
+
+  // Swap the payloads of two keys, which authentication must reject
+  await encryptedStore.set('email', await encryptedStore.get('ssn'));
+  const decryptFailures = [];
+  rotatedCache.on('error', error => decryptFailures.push(error));
+  const missesBefore = rotatedCache.getStats().misses;
+  assert(await rotatedCache.get('email') === undefined, 'Tampered values are not returned');
+  assert(decryptFailures[0] && decryptFailures[0].code === 'ERR_CACHE_DECRYPT' && decryptFailures[0].key === 'email' &&
+    rotatedCache.getStats().misses === missesBefore + 1, 'Authentication failures emit an ERR_CACHE_DECRYPT error and count as a miss');
+  await rotatedCache.set('contact', 'ada@example.com', 0, ['contacts']);
+  await encryptedStore.set('contact', await encryptedStore.get('ssn'));
+  assert(await rotatedCache.get('contact') === undefined && rotatedCache.getStatsByTag('contacts').misses === 1,
+    'Authentication failures count as a miss of the entry\'s tags');
+
+  // A value read under the old key must not overwrite a newer write when it is re-encrypted
+  const racedCache = new EasyCache({
+    storage: encryptedStore,
+    encryption: { keys: { k1: oldKey, k2: newKey }, currentKeyId: 'k2' }
+  });
+  await racedCache.set('raced', 'old');
+  const oldKeyWriter = new EasyCache({ storage: encryptedStore, encryption: { keys: { k1: oldKey } } });
+  await oldKeyWriter.set('raced', 'old');
+  await Promise.all([racedCache.get('raced'), racedCache.set('raced', 'new')]);
+  await new Promise(resolve => setImmediate(resolve));
+  assert(await racedCache.get('raced') === 'new', 'Re-encryption skips entries written meanwhile');
+  racedCache.destroy();
+  oldKeyWriter.destroy();
+  rotatedCache.destroy();
+  oldKeyCache.destroy();
+
+  // Test 4.1.3: Structured Serialization
+  console.log('\nTest 4.1.3: Structured Serialization');
+  class Money {
+    constructor(amount, currency) {
+      this.amount = amount;
+      this.currency = currency;
+    }
+
+    format() {
+      return `${this.amount} ${this.currency}`;
+    }
+  }
+  EasyCache.serializers.registerClass(Money);
+  const structuredValue = {
+    createdAt: new Date(0),
+    ids: new Set([1, 2]),
+    owners: new Map([['a', { balance: 10n }]]),
+    raw: Buffer.from('bytes'),
+    samples: new Float64Array([0.5, NaN]),
+    price: new Money(5, 'EUR'),
+    lookalike: { $t: 'Date', v: 1 }
+  };
+  for (const serialize of ['structured', 'structured-binary']) {
+    const structuredCache = new EasyCache({
+      serialize,
+      compression: { threshold: 0 },
+      encryption: { keys: { k1: crypto.randomBytes(32) } }
+    });
+    await structuredCache.set('account', structuredValue);
+    const restored = await structuredCache.get('account');
+    assert(restored.createdAt instanceof Date && restored.createdAt.getTime() === 0 &&
+      restored.ids.has(2) && restored.owners.get('a').balance === 10n, `${serialize} round-trips Date, Set, Map and BigInt`);
+    assert(Buffer.isBuffer(restored.raw) && restored.raw.toString() === 'bytes' &&
+      restored.samples instanceof Float64Array && Number.isNaN(restored.samples[1]), `${serialize} round-trips Buffers and typed arrays`);
+    assert(restored.price instanceof Money && restored.price.format() === '5 EUR', `${serialize} restores registered classes`);
+    assert(restored.lookalike.$t === 'Date' && restored.lookalike.v === 1, `${serialize} keeps plain objects that look like tagged values`);
+    structuredCache.destroy();
+  }
+  let unknownSerializerError = null;
+  try {
+    new EasyCache({ serialize: 'yaml' });
+  } catch (error) {
+    unknownSerializerError = error;
+  }
+  assert(unknownSerializerError && unknownSerializerError.message.includes('yaml'), 'Unknown serializer names are rejected');
+
+  for (const [storage, filePath] of [['json', './test_cache_files/test_binary_cache.json'], ['patch', './test_cache_files/test_binary_cache.patch']]) {
+    const binaryOptions = { serialize: 'structured-binary', storage, storageOptions: { filePath } };
+    const binaryCache = new EasyCache(binaryOptions);
+    await binaryCache.clear();
+    await binaryCache.set('blob', { raw: Buffer.alloc(64, 1) });
+    await binaryCache.destroy();
+    const binaryContent = require('fs').readFileSync(filePath, 'utf8');
+    const reopenedBinaryCache = new EasyCache(binaryOptions);
+    const blob = await reopenedBinaryCache.get('blob');
+    assert(binaryContent.includes('$base64') && !binaryContent.includes('"Buffer"') && blob.raw.length === 64,
+      `${storage} adapter stores binary payloads as base64`);
+    await reopenedBinaryCache.destroy();
+  }
+
+  // Test 4.2: Eviction Policies
+  console.log('\nTest 4.2: Eviction Policies');
+  const lfuCache = new EasyCache({ maxSize: 2, evictionPolicy: 'lfu' });
+  await lfuCache.set('lfu1', 'value1');
+  await lfuCache.set('lfu2', 'value2');
+  await lfuCache.get('lfu1');
+  await lfuCache.set('lfu3', 'value3'); // Should evict lfu2
+  assert(await lfuCache.has('lfu2') === false, 'LFU evicts the least frequently used item');
+  assert(await lfuCache.has('lfu1') === true, 'LFU keeps frequently used items');
+  lfuCache.destroy();
+
+  const fifoCache = new EasyCache({ maxSize: 2, evictionPolicy: 'fifo' });
+  await fifoCache.set('fifo1', 'value1');
+  await fifoCache.set('fifo2', 'value2');
+  await fifoCache.get('fifo1');
+  await fifoCache.set('fifo3', 'value3'); // Should evict fifo1 despite the read
+  assert(await fifoCache.has('fifo1') === false, 'FIFO evicts the oldest item');
+  assert(await fifoCache.has('fifo2') === true, 'FIFO ignores reads');
+  fifoCache.destroy();
+
+  const tinyLFUCache = new EasyCache({ maxSize: 10, evictionPolicy: 'tinylfu' });
+  for (let i = 0; i < 9; i++) {
+    await tinyLFUCache.set(`hot${i}`, i);
+    for (let j = 0; j < 3; j++) {
+      await tinyLFUCache.get(`hot${i}`);
+    }
+  }
+  for (let i = 0; i < 50; i++) {
+    await tinyLFUCache.set(`scan${i}`, i); // One-hit wonders
+  }
+  let hotKeysKept = 0;
+  for (let i = 0; i < 9; i++) {
+    if (await tinyLFUCache.has(`hot${i}`)) hotKeysKept++;
+  }
+  assert(hotKeysKept === 9, 'W-TinyLFU keeps frequently used items during a scan');
+  assert(tinyLFUCache.cache.size === 10, 'W-TinyLFU respects maxSize');
+  tinyLFUCache.destroy();
+
+  const customVictims = [];
+  const customPolicy = new EasyCache.policies.FIFOPolicy();
+  const originalVictim = customPolicy.victim.bind(customPolicy);
+  customPolicy.victim = candidates => {
+    const victimKey = originalVictim(candidates);
+    customVictims.push(victimKey);
+    return victimKey;
+  };
+  const customPolicyCache = new EasyCache({
+    maxSize: 10,
+    evictionPolicy: customPolicy,
+    maxEntriesPerTag: { limited: 2 }
+  });
+  await customPolicyCache.set('tagged1', 'value1', null, ['limited']);
+  await customPolicyCache.set('tagged2', 'value2', null, ['limited']);
+  await customPolicyCache.set('tagged3', 'value3', null, ['limited']);
+  assert(customVictims[0] === 'tagged1', 'Per-tag limits use the custom eviction policy');
+  assert(await customPolicyCache.has('tagged1') === false, 'Per-tag limit evicts the policy victim');
+  customPolicyCache.destroy();
+
+  let incompletePolicyError = null;
+  try {
+    new EasyCache({ evictionPolicy: { victim: () => undefined, onInsert: () => {} } });
+  } catch (error) {
+    incompletePolicyError = error;
+  }
+  assert(incompletePolicyError && incompletePolicyError.message.includes('onAccess, onRemove, clear'),
+    'Custom policies missing methods are rejected at construction');
+  
   // Test 5: getOrSet
   console.log('\nTest 5: getOrSet Pattern');
   const cache5 = new EasyCache();
@@ -82,6 +323,94 @@ async function runTests() {
   assert(callCount === 1, 'getOrSet only calls function once');
   cache5.destroy();
   
+  // Test 5.1: Request Coalescing
+  console.log('\nTest 5.1: Request Coalescing');
+  const coalesceCache = new EasyCache();
+  let loaderCalls = 0;
+  async function slowLoader() {
+    loaderCalls++;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return 'loaded';
+  }
+
+  const coalescedResults = await Promise.all([
+    coalesceCache.getOrSet('hot_key', slowLoader),
+    coalesceCache.getOrSet('hot_key', slowLoader),
+    coalesceCache.getOrSet('hot_key', slowLoader)
+  ]);
+  assert(loaderCalls === 1, 'Concurrent getOrSet calls share one loader execution');
+  assert(coalescedResults.every(result => result === 'loaded'), 'All concurrent callers receive the loaded value');
+  assert(coalesceCache.getStats().coalesced === 2, 'Stats count coalesced calls');
+
+  coalesceCache.on('error', () => {});
+  const failingLoader = async () => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    throw new Error('loader failed');
+  };
+  const failures = await Promise.allSettled([
+    coalesceCache.getOrSet('failing_key', failingLoader),
+    coalesceCache.getOrSet('failing_key', failingLoader)
+  ]);
+  assert(failures.every(result => result.status === 'rejected' && result.reason.message === 'loader failed'), 'Loader rejection reaches every waiter');
+  coalesceCache.destroy();
+  
+  // Test 5.2: Function Memoization
+  console.log('\nTest 5.2: Function Memoization');
+  const wrapCache = new EasyCache();
+  let lookupCalls = 0;
+  const lookup = wrapCache.wrap(async function lookup(query) {
+    lookupCalls++;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return `result_${lookupCalls}`;
+  }, { ttl: 5000, tags: ['lookups'] });
+
+  const since = new Date(0);
+  const first = await lookup({ name: 'a', since, raw: Buffer.from('x') });
+  const second = await lookup({ raw: Buffer.from('x'), since: new Date(0), name: 'a' });
+  assert(first === second && lookupCalls === 1, 'wrap() hashes objects with unordered keys, Dates and Buffers stably');
+  await lookup({ name: 'a', since: new Date(1), raw: Buffer.from('x') });
+  assert(lookupCalls === 2, 'wrap() distinguishes different arguments');
+
+  await Promise.all([lookup('concurrent'), lookup('concurrent')]);
+  assert(lookupCalls === 3, 'wrap() shares in-flight calls');
+
+  await lookup.invalidate({ name: 'a', since, raw: Buffer.from('x') });
+  await lookup({ name: 'a', since, raw: Buffer.from('x') });
+  assert(lookupCalls === 4, 'invalidate() drops the cached result for the arguments');
+  assert(Object.keys(await wrapCache.getByTag('lookups')).length === 3, 'wrap() tags cached results');
+
+  await lookup.clear();
+  assert(await wrapCache.size() === 0, 'clear() drops all cached results of the function');
+
+  const wrappedA = wrapCache.wrap(function format(x) { return `A${x}`; });
+  const wrappedB = wrapCache.wrap(function format(x) { return `B${x}`; });
+  assert(await wrappedA(1) === 'A1' && await wrappedB(1) === 'B1', 'Wrapped functions without a keyPrefix keep separate results');
+  const reorderedWrapCache = new EasyCache();
+  await reorderedWrapCache.wrap(function format(x) { return `B${x}`; })(1);
+  assert((await wrapCache.keys()).includes((await reorderedWrapCache.keys())[0]), 'Default wrap() key prefixes don\'t depend on the order of wrap() calls');
+  reorderedWrapCache.destroy();
+
+  const wrapError = fn => {
+    try {
+      wrapCache.wrap(fn);
+      return null;
+    } catch (error) {
+      return error;
+    }
+  };
+  const formatWith = prefix => function formatWithPrefix(x) { return `${prefix}${x}`; };
+  assert(wrapError(x => x) && !wrapError(formatWith('C')) && wrapError(formatWith('D')),
+    'wrap() requires a keyPrefix for anonymous functions and closures sharing their source');
+
+  const double = wrapCache.wrap(function double(value) { return value * 2; }, {
+    keyPrefix: 'wrap:double',
+    keyResolver: value => `n${value}`,
+    condition: (key, value) => value > 0
+  });
+  assert(await double(2) === 4 && await wrapCache.has('wrap:double:n2'), 'keyResolver builds the cache key');
+  assert(await double(-1) === -2 && await wrapCache.has('wrap:double:n-1') === false, 'condition decides what is cached');
+  wrapCache.destroy();
+  
   // Test 6: Statistics
   console.log('\nTest 6: Statistics');
   const cache6 = new EasyCache();
@@ -96,6 +425,59 @@ async function runTests() {
   assert(stats.misses === 1, 'Stats track misses correctly');
   assert(stats.sets === 1, 'Stats track sets correctly');
   cache6.destroy();
+
+  // Test 6.1: Per-Tag Statistics
+  console.log('\nTest 6.1: Per-Tag Statistics');
+  const tagStatsCache = new EasyCache({ maxSize: 3 });
+  await tagStatsCache.set('p1', 'x', 0, ['products']);
+  await tagStatsCache.set('p2', 'y', 50, ['products', 'promo']);
+  await tagStatsCache.set('u1', 'z', 0, ['users']);
+  await tagStatsCache.get('p1');
+  await tagStatsCache.get('p1');
+  await tagStatsCache.get('u1');
+  await new Promise(resolve => setTimeout(resolve, 80)); // p2 expires
+  await tagStatsCache.set('u2', 'w', 0, ['users']);
+  await tagStatsCache.set('u3', 'v', 0, ['users']); // Evicts p1, the least recently used
+  await tagStatsCache.delete('u2');
+
+  const productStats = tagStatsCache.getStatsByTag('products');
+  assert(productStats.hits === 2 && productStats.sets === 2, 'Tag stats track hits and sets');
+  assert(productStats.expirations === 1 && productStats.evictions === 1, 'Tag stats track expirations and evictions');
+  assert(productStats.count === 0 && productStats.hitRate === 1, 'Tag stats report current entries and hit rate');
+  const userStats = tagStatsCache.getStatsByTag('users');
+  assert(userStats.deletes === 1 && userStats.count === 2 && userStats.bytes > 0, 'Tag stats track deletes and bytes');
+
+  const allTagStats = tagStatsCache.getAllTagStats();
+  assert(JSON.stringify(Object.keys(allTagStats).sort()) === JSON.stringify(['products', 'promo', 'users']), 'getAllTagStats() covers every tag');
+  tagStatsCache.resetTagStats('users');
+  assert(tagStatsCache.getStatsByTag('users').sets === 0 && tagStatsCache.getStatsByTag('products').sets === 2, 'resetTagStats() resets a single tag');
+  tagStatsCache.destroy();
+
+  // Test 6.2: Hierarchical Tags and Tag Queries
+  console.log('\nTest 6.2: Hierarchical Tags and Tag Queries');
+  const hierarchyCache = new EasyCache({ maxEntriesPerTag: { 'tenant:1': 3 } });
+  await hierarchyCache.set('o1', 'order 1', 0, ['tenant:1/orders', 'paid']);
+  await hierarchyCache.set('o2', 'order 2', 0, ['tenant:1/orders']);
+  await hierarchyCache.set('i1', 'invoice 1', 0, ['tenant:1/invoices', 'paid']);
+  await hierarchyCache.set('o3', 'order 3', 0, ['tenant:2/orders', 'paid']);
+  await hierarchyCache.set('t1', 'tenant 1', 0, ['tenant:10']);
+
+  assert(Object.keys(await hierarchyCache.getByTag('tenant:1')).sort().join() === 'i1,o1,o2', 'getByTag() includes child tags only');
+  assert(Object.keys(await hierarchyCache.getByTag('tenant:*/orders')).sort().join() === 'o1,o2,o3', 'Wildcard tags match across the hierarchy');
+  assert(Object.keys(await hierarchyCache.getByTags({ all: ['paid', 'tenant:1'] })).sort().join() === 'i1,o1', 'getByTags() intersects all');
+  assert(Object.keys(await hierarchyCache.getByTags({ any: ['tenant:1/invoices', 'tenant:2'] })).sort().join() === 'i1,o3', 'getByTags() unites any');
+  assert(Object.keys(await hierarchyCache.getByTags({ any: ['paid'], none: ['tenant:1/invoices'] })).sort().join() === 'o1,o3', 'getByTags() excludes none');
+
+  await hierarchyCache.set('o4', 'order 4', 0, ['tenant:1/orders/archived']);
+  assert(Object.keys(await hierarchyCache.getByTag('tenant:1')).length === 3 && await hierarchyCache.has('o3'), 'maxEntriesPerTag limits cover child tags');
+
+  await hierarchyCache.set('i2', 'invoice 2', 0, ['tenant:1/invoices', 'paid']);
+  assert(await hierarchyCache.deleteByTags({ all: ['paid'], none: ['tenant:2'] }) === true, 'deleteByTags() deletes matching entries');
+  assert(await hierarchyCache.has('i2') === false && await hierarchyCache.has('o3'), 'deleteByTags() keeps other entries');
+  await hierarchyCache.deleteByTag('tenant:1');
+  assert(await hierarchyCache.has('o2') === false && await hierarchyCache.has('o4') === false, 'deleteByTag() cascades to child tags');
+  assert(await hierarchyCache.has('t1'), 'deleteByTag() leaves tags that only share a prefix');
+  hierarchyCache.destroy();
   
   // Test 7: Touch (TTL extension)
   console.log('\nTest 7: Touch TTL Extension');
@@ -144,6 +526,58 @@ async function runTests() {
   assert(revalidateEventFired === true, 'Revalidate event is fired');
   swrCache.destroy();
   
+  // Test 8.2: Background Revalidation
+  console.log('\nTest 8.2: Background Revalidation');
+  const refreshCache = new EasyCache({
+    staleWhileRevalidate: true,
+    staleTTL: 200
+  });
+  let refreshCalls = 0;
+  let revalidatedValue = null;
+  refreshCache.on('revalidated', (key, value) => {
+    revalidatedValue = value;
+  });
+  const refreshLoader = async () => {
+    refreshCalls++;
+    return `fresh_${refreshCalls}`;
+  };
+
+  await refreshCache.getOrSet('refresh_test', refreshLoader, 50);
+  await new Promise(resolve => setTimeout(resolve, 80)); // Let it expire
+  assert(await refreshCache.getOrSet('refresh_test', refreshLoader, 50) === 'fresh_1', 'getOrSet serves the stale value immediately');
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert(refreshCalls === 2 && revalidatedValue === 'fresh_2', 'Stale value is refreshed in the background');
+  assert(await refreshCache.get('refresh_test') === 'fresh_2', 'Refreshed value replaces the stale one');
+
+  let revalidateFailure = null;
+  refreshCache.on('revalidateFailed', (key, error) => {
+    revalidateFailure = error;
+  });
+  await refreshCache.set('failing_refresh', 'stale', 50);
+  await new Promise(resolve => setTimeout(resolve, 80));
+  await refreshCache.getOrSet('failing_refresh', async () => {
+    throw new Error('refresh failed');
+  });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert(revalidateFailure && revalidateFailure.message === 'refresh failed', 'Failed refresh is reported');
+  assert(await refreshCache.get('failing_refresh') === 'stale', 'Stale value is kept after a failed refresh');
+
+  await new Promise(resolve => setTimeout(resolve, 250)); // Let the stale window close
+  assert(await refreshCache.has('failing_refresh') === false, 'Stale value is removed after staleTTL');
+  refreshCache.destroy();
+
+  const expiryCountCache = new EasyCache({ staleWhileRevalidate: true, staleTTL: 30, checkInterval: 10 });
+  await expiryCountCache.set('expired_once', 'value', 20, ['counted']);
+  await new Promise(resolve => setTimeout(resolve, 100)); // Expiry timer, stale timer and cleanup all run
+  assert(expiryCountCache.getStats().totalExpired === 1 && expiryCountCache.getStatsByTag('counted').expirations === 1,
+    'An expiration is counted once by the timer and the cleanup');
+  await expiryCountCache.set('read_expired', 'value', 5000, ['counted']);
+  expiryCountCache.cache.get('read_expired').expiresAt = Date.now() - 100; // Read before its timer fires
+  assert(await expiryCountCache.get('read_expired') === undefined, 'Entries past the stale window are not served');
+  assert(expiryCountCache.getStats().totalExpired === 2 && expiryCountCache.getStatsByTag('counted').expirations === 2,
+    'Expirations noticed by a read are counted');
+  expiryCountCache.destroy();
+  
   // Test 9: Events
   console.log('\nTest 9: Event System');
   const cache9 = new EasyCache();
@@ -189,6 +623,302 @@ async function runTests() {
   assert(await cache11.get('clear_test1') === undefined, 'Clear removes specific items');
   cache11.destroy();
   
+  // Test 11.1: Two-Tier Cache
+  console.log('\nTest 11.1: Two-Tier Cache');
+  const tieredCache = new EasyCache({
+    l1: { maxSize: 2 }
+  });
+  await tieredCache.set('tier1', 'value1');
+  await tieredCache.set('tier2', 'value2');
+  await tieredCache.set('tier3', 'value3'); // Pushes tier1 out of L1 only
+  assert(await tieredCache.get('tier3') === 'value3', 'L1 serves recent entries');
+  assert(await tieredCache.get('tier1') === 'value1', 'L2 serves entries evicted from L1');
+  await tieredCache.get('tier1');
+  let tierStats = tieredCache.getStats().tiers;
+  assert(tierStats.l1.hits === 2 && tierStats.l2.hits === 1, 'Entries read from L2 are promoted to L1');
+
+  const writeBehindCache = new EasyCache({
+    l1: { writeMode: 'behind', writeBehindDelay: 20 }
+  });
+  await writeBehindCache.set('behind', 'value');
+  assert(await writeBehindCache.storage.l2.has('behind') === false, 'Write-behind defers L2 writes');
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert(await writeBehindCache.storage.l2.get('behind') === JSON.stringify('value'), 'Write-behind flushes to L2');
+  tierStats = writeBehindCache.getStats().tiers;
+  assert(tierStats.l2.pendingWrites === 0, 'Stats report pending L2 writes');
+  tieredCache.destroy();
+  writeBehindCache.destroy();
+
+  const { TieredAdapter, MemoryAdapter: TieredMemoryAdapter } = require('../src/adapters');
+  const expiringTiers = new TieredAdapter(new TieredMemoryAdapter(), { ttl: 20 });
+  await expiringTiers.set('l1_expiring', 'value');
+  await expiringTiers.l2.delete('l1_expiring');
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert(await expiringTiers.has('l1_expiring') === false && await expiringTiers.get('l1_expiring') === undefined,
+    'has() ignores expired L1 entries like get()');
+
+  const slowL2 = new (require('../src/adapters').MemoryAdapter)();
+  const setSlowly = slowL2.set.bind(slowL2);
+  slowL2.set = async (...args) => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return args[0] === 'rejected' ? false : setSlowly(...args);
+  };
+  const slowTieredCache = new EasyCache({ storage: slowL2, l1: { writeMode: 'behind', writeBehindDelay: 1000 } });
+  const writeBehindErrors = [];
+  slowTieredCache.on('error', error => writeBehindErrors.push(error));
+  await slowTieredCache.set('deleted_while_flushing', 'value');
+  const flushing = slowTieredCache.flush();
+  await slowTieredCache.delete('deleted_while_flushing');
+  await flushing;
+  assert(await slowL2.has('deleted_while_flushing') === false, 'Deletes wait for write-behind writes in progress');
+  await slowTieredCache.set('rejected', 'value');
+  await slowTieredCache.flush();
+  assert(writeBehindErrors.length === 1, 'Failed write-behind writes are reported');
+  await slowTieredCache.destroy();
+  
+  // Test 11.2: Cross-Process Invalidation
+  console.log('\nTest 11.2: Cross-Process Invalidation');
+  const bus = new EasyCache.buses.MemoryInvalidationBus();
+  const peerA = new EasyCache({ invalidationBus: bus });
+  const peerB = new EasyCache({ invalidationBus: bus });
+  let ownInvalidations = 0;
+  peerA.on('invalidated', () => {
+    ownInvalidations++;
+  });
+  const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+  for (const peer of [peerA, peerB]) {
+    await peer.set('shared_key', 'value');
+    await peer.set('tagged_key', 'value', null, ['shared_tag']);
+    await peer.set('other_key', 'value');
+  }
+  await peerA.delete('shared_key');
+  await settle();
+  assert(await peerB.has('shared_key') === false, 'Deletes are broadcast to peers');
+  await peerA.deleteByTag('shared_tag');
+  await settle();
+  assert(await peerB.has('tagged_key') === false, 'Tag invalidations are broadcast to peers');
+  await peerA.clear();
+  await settle();
+  assert(await peerB.has('other_key') === false, 'Clears are broadcast to peers');
+  assert(ownInvalidations === 0, 'Own invalidations are ignored');
+  await peerA.destroy();
+  await peerB.destroy();
+  
+  // Test 11.3: Namespaces
+  console.log('\nTest 11.3: Namespaces');
+  const sharedCache = new EasyCache({ maxSize: 10 });
+  const users = sharedCache.namespace('users', { maxSize: 2 });
+  const products = sharedCache.namespace('products', { defaultTTL: 5000 });
+  assert(sharedCache.namespace('users') === users, 'namespace() returns the same view for the same name');
+
+  await users.set('1', 'alice');
+  await products.set('1', 'book');
+  assert(await users.get('1') === 'alice', 'Namespaces prefix keys transparently');
+  assert(await sharedCache.get('users:1') === 'alice', 'Namespaced keys are stored in the parent');
+  assert(products.getInfo('1').ttl > 0, 'Namespace defaultTTL is applied');
+
+  await users.set('2', 'bob');
+  await users.set('3', 'carol'); // Should evict users:1 only
+  assert(await users.has('1') === false, 'Namespace maxSize evicts within the namespace');
+  assert(await products.has('1') === true, 'Namespace eviction leaves other namespaces alone');
+  assert(JSON.stringify((await users.keys()).sort()) === JSON.stringify(['2', '3']), 'Namespace keys() is scoped');
+  assert(await users.size() === 2, 'Namespace size() is scoped');
+
+  await users.get('missing');
+  const usersStats = users.getStats();
+  assert(usersStats.sets === 3 && usersStats.evictions === 1 && usersStats.misses === 1, 'Namespace stats are scoped');
+
+  await users.clear();
+  assert(await users.size() === 0, 'Namespace clear() empties the namespace');
+  assert(await products.get('1') === 'book', 'Namespace clear() leaves other namespaces alone');
+  let nestedNameError = null;
+  try {
+    sharedCache.namespace('users:admin');
+  } catch (error) {
+    nestedNameError = error;
+  }
+  assert(nestedNameError !== null, 'Namespace names containing the separator are rejected');
+  for (let i = 0; i < 20; i++) {
+    sharedCache.namespace(`tenant${i}`);
+  }
+  assert(sharedCache.listenerCount('evicted') === 1, 'Namespaces share one eviction listener');
+  sharedCache.destroy();
+  
+  // Test 11.4: Pattern Deletion
+  console.log('\nTest 11.4: Pattern Deletion');
+  const patternCache = new EasyCache();
+  await patternCache.setMultiple({ 'user:1': 'a', 'user:2': 'b', 'user:10': 'c', 'order:1': 'd', 'user*x': 'e' });
+
+  const scanned = [];
+  for await (const key of patternCache.scan({ match: 'user:?' })) {
+    scanned.push(key);
+  }
+  assert(JSON.stringify(scanned.sort()) === JSON.stringify(['user:1', 'user:2']), 'scan() matches glob patterns');
+
+  const classMatches = [];
+  for await (const key of patternCache.scan({ match: '*:[^2]' })) {
+    classMatches.push(key);
+  }
+  assert(JSON.stringify(classMatches.sort()) === JSON.stringify(['order:1', 'user:1']), 'scan() supports character classes');
+
+  assert(await patternCache.deleteByPattern('user\\*x') === 1, 'Escaped glob characters match literally');
+  assert(await patternCache.deleteByPattern(/^user:\d+$/) === 3, 'deleteByPattern() accepts a RegExp');
+  assert(JSON.stringify(await patternCache.keys()) === JSON.stringify(['order:1']), 'deleteByPattern() leaves other keys');
+
+  const patternNamespace = patternCache.namespace('tenant');
+  await patternNamespace.setMultiple({ 'a:1': 1, 'a:2': 2, 'b:1': 3 });
+  assert(await patternNamespace.deleteByPattern('a:*') === 2, 'Namespace deleteByPattern() is scoped');
+  assert(JSON.stringify(await patternNamespace.keys()) === JSON.stringify(['b:1']), 'Namespace scan() strips the prefix');
+  patternCache.destroy();
+
+  // Test 11.5: Snapshots
+  console.log('\nTest 11.5: Snapshots');
+  const sourceCache = new EasyCache();
+  await sourceCache.set('config', { theme: 'dark' });
+  await sourceCache.set('session', 'abc', 5000, ['sessions']);
+  await sourceCache.set('expiring', 'soon', 1000);
+
+  const lines = [];
+  for await (const line of sourceCache.dump()) {
+    lines.push(line);
+  }
+  const header = JSON.parse(lines[0]);
+  assert(header.format === 'easycache-snapshot' && header.version === 2 && header.encoding === 'structured', 'dump() starts with a versioned header');
+  assert(lines.length === 4 && lines.every(line => line.endsWith('\n')), 'dump() yields one NDJSON line per entry');
+
+  // Pretend the snapshot was taken 2 seconds ago, so 'expiring' is no longer valid
+  const agedSnapshot = [JSON.stringify({ ...header, createdAt: header.createdAt - 2000 }) + '\n', ...lines.slice(1)];
+  const warmCache = new EasyCache({ storage: 'json', storageOptions: { filePath: './test_cache_files/test_snapshot_cache.json' } });
+  await warmCache.clear();
+  await warmCache.set('local', 'kept');
+  // Chunks don't need to be aligned with lines
+  const chunks = agedSnapshot.join('').match(/[\s\S]{1,7}/g).map(chunk => Buffer.from(chunk));
+  assert(await warmCache.load(chunks) === 2, 'load() restores entries from chunked input and skips expired ones');
+  assert(JSON.stringify(await warmCache.get('config')) === JSON.stringify({ theme: 'dark' }), 'load() restores values');
+  const sessionInfo = warmCache.getInfo('session');
+  assert(sessionInfo.ttl > 2000 && sessionInfo.ttl <= 3000, 'load() restores remaining TTLs');
+  assert(Object.keys(await warmCache.getByTag('sessions')).length === 1, 'load() restores tags');
+  assert(await warmCache.get('local') === 'kept', 'load() merges by default');
+
+  await warmCache.load(lines.join(''), { mode: 'replace' });
+  assert(await warmCache.has('local') === false && await warmCache.has('expiring'), 'load() can replace the cache');
+
+  const snapshotBus = new EasyCache.buses.MemoryInvalidationBus();
+  const publishedTypes = [];
+  const publishSnapshotMessage = snapshotBus.publish.bind(snapshotBus);
+  snapshotBus.publish = message => {
+    publishedTypes.push(message.type);
+    return publishSnapshotMessage(message);
+  };
+  const failingSnapshotStore = new (require('../src/adapters').MemoryAdapter)();
+  const storeSnapshotEntry = failingSnapshotStore.set.bind(failingSnapshotStore);
+  failingSnapshotStore.set = async (key, ...args) => {
+    if (key === 'session') throw new Error('disk full');
+    return storeSnapshotEntry(key, ...args);
+  };
+  const replacedCache = new EasyCache({ storage: failingSnapshotStore, invalidationBus: snapshotBus });
+  const loadErrors = [];
+  replacedCache.on('error', error => loadErrors.push(error));
+  assert(await replacedCache.load(lines.join(''), { mode: 'replace' }) === 2 && loadErrors.length === 1,
+    'load() reports entries that failed to store and doesn\'t count them');
+  assert(JSON.stringify(publishedTypes) === '["clear"]', 'load() in replace mode notifies other processes once');
+  await replacedCache.destroy();
+
+  let rejected = false;
+  try {
+    await warmCache.load('{"type":"entry","key":"x","value":1,"ttl":0}\n');
+  } catch (error) {
+    rejected = true;
+  }
+  assert(rejected, 'load() rejects snapshots without a header');
+
+  const version1Snapshot = '{"type":"header","format":"easycache-snapshot","version":1,"createdAt":0}\n' +
+    '{"type":"entry","key":"legacy","value":{"$t":"Date","v":0},"ttl":0}\n';
+  await warmCache.load(version1Snapshot);
+  assert(JSON.stringify(await warmCache.get('legacy')) === '{"$t":"Date","v":0}', 'load() reads values of version 1 snapshots as plain JSON');
+
+  const structuredSource = new EasyCache({ serialize: 'structured' });
+  await structuredSource.set('typed', { seen: new Map([['a', new Date(0)]]), total: 10n });
+  let structuredSnapshot = '';
+  for await (const line of structuredSource.dump()) {
+    structuredSnapshot += line;
+  }
+  const structuredTarget = new EasyCache({ serialize: 'structured' });
+  await structuredTarget.load(structuredSnapshot);
+  const typed = await structuredTarget.get('typed');
+  assert(typed.seen instanceof Map && typed.seen.get('a') instanceof Date && typed.total === 10n,
+    'Snapshots keep Maps, Dates and BigInts of structured caches');
+  structuredSource.destroy();
+  structuredTarget.destroy();
+  await warmCache.clear();
+  sourceCache.destroy();
+  warmCache.destroy();
+
+  // Test 11.6: Metrics
+  console.log('\nTest 11.6: Metrics');
+  const metricsCache = new EasyCache();
+  const registry = new EasyCache.metrics.MetricsRegistry({ buckets: [0.01, 1] });
+  registry.register(metricsCache, 'main');
+  await metricsCache.set('a', 1, 0, ['group "x"']);
+  await metricsCache.get('a');
+  await metricsCache.get('missing');
+  await metricsCache.getOrSet('b', async () => 2);
+
+  const text = registry.render();
+  assert(text.includes('easycache_hits_total{cache="main"} 1') && text.includes('easycache_misses_total{cache="main"} 2'), 'Metrics render counters per cache');
+  assert(text.includes('easycache_entries{cache="main"} 2'), 'Metrics render gauges per cache');
+  assert(text.includes('easycache_tag_entries{cache="main",tag="group \\"x\\""} 1'), 'Metrics render escaped per-tag gauges');
+  assert(text.includes('easycache_tag_hits_total{cache="main",tag="group \\"x\\""} 1'), 'Metrics render per-tag counters');
+  assert(text.includes('easycache_operation_duration_seconds_count{cache="main",operation="set"} 2') &&
+    text.includes('easycache_operation_duration_seconds_bucket{cache="main",operation="load",le="+Inf"} 1'), 'Metrics render latency histograms');
+  assert(text.endsWith('# EOF\n'), 'Metrics end with the OpenMetrics EOF marker');
+
+  const http = require('http');
+  const server = http.createServer(registry.handler());
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const scrape = await new Promise((resolve, reject) => {
+    http.get(`http://127.0.0.1:${server.address().port}/metrics`, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+  await new Promise(resolve => server.close(resolve));
+  assert(scrape.type.startsWith('application/openmetrics-text') && scrape.body.includes('easycache_sets_total'), 'Metrics handler serves a scrape');
+  registry.unregister('main');
+  assert(metricsCache.listenerCount('timing') === 0, 'unregister() stops collecting timings');
+  metricsCache.destroy();
+
+  // Test 11.7: Tag-Version Invalidation
+  console.log('\nTest 11.7: Tag-Version Invalidation');
+  const { MemoryAdapter: SharedMemoryAdapter } = require('../src/adapters');
+  const sharedStore = new SharedMemoryAdapter();
+  sharedStore.shared = true; // Stands in for Redis or PostgreSQL shared by two processes
+  const writer = new EasyCache({ storage: sharedStore, tagVersioning: true });
+  await writer.set('order:1', 'pending', 0, ['tenant:1/orders']);
+  await writer.set('profile:1', 'alice', 0, ['tenant:1/profile']);
+  await writer.set('order:2', 'paid', 0, ['tenant:2/orders']);
+
+  // Started after the writes, so the entries are only known from storage
+  const reader = new EasyCache({ storage: sharedStore, tagVersioning: true });
+  assert(await reader.get('order:1') === 'pending', 'Entries restored from shared storage are served');
+
+  const deleter = new EasyCache({ storage: sharedStore, tagVersioning: true });
+  await deleter.deleteByTag('tenant:1/orders');
+  assert(await reader.get('order:1') === undefined, 'A tag version bump invalidates entries cached by other processes');
+  assert(await reader.get('profile:1') === 'alice', 'Other tags are unaffected');
+
+  await deleter.deleteByTag('tenant:1');
+  assert(await reader.has('profile:1') === false, 'Bumping a parent tag invalidates child tags');
+  assert(await reader.get('order:2') === 'paid' && await writer.get('order:2') === 'paid', 'Entries of other tenants stay valid');
+
+  await writer.set('order:1', 'shipped', 0, ['tenant:1/orders']);
+  assert(await writer.get('order:1') === 'shipped', 'Entries written after a bump are valid');
+  writer.destroy();
+  reader.destroy();
+  deleter.destroy();
+
   // Test 12: Storage Adapters
   console.log('\nTest 12: Storage Adapters');
 
@@ -215,8 +945,307 @@ async function runTests() {
   });
   await jsonCache.set('json_key', { data: 'json_value', num: 123 });
   assert(JSON.stringify(await jsonCache.get('json_key')) === JSON.stringify({ data: 'json_value', num: 123 }), 'JsonAdapter set/get works');
+
+  // A new instance on the same file restores values and metadata
+  await jsonCache.set('json_tagged', 'tagged_value', 5000, ['group']);
+  const restartedCache = new EasyCache({
+    storage: 'json',
+    storageOptions: {
+      filePath: './test_cache_files/test_json_cache.json'
+    }
+  });
+  assert(await restartedCache.get('json_tagged') === 'tagged_value', 'JsonAdapter value survives restart');
+  const restoredInfo = restartedCache.getInfo('json_tagged');
+  assert(restoredInfo.expiresAt === jsonCache.getInfo('json_tagged').expiresAt, 'JsonAdapter TTL survives restart');
+  assert(Object.keys(await restartedCache.getByTag('group')).length === 1, 'JsonAdapter tags survive restart');
+  const reservedErrors = [];
+  jsonCache.on('error', error => reservedErrors.push(error));
+  await jsonCache.set('__meta__', 'user value');
+  assert(reservedErrors.length === 1 && await jsonCache.get('__meta__') === undefined, 'JsonAdapter rejects its reserved metadata key');
+  await restartedCache.destroy();
   await jsonCache.destroy();
 
+  // Restoring metadata from storage
+  const { MemoryAdapter: RestoredMemoryAdapter } = require('../src/adapters');
+  const failingStorage = new RestoredMemoryAdapter();
+  failingStorage.metadata = async () => {
+    throw new Error('metadata unavailable');
+  };
+  const unrestoredCache = new EasyCache({ storage: failingStorage });
+  await unrestoredCache.set('after_failure', 'value');
+  assert(await unrestoredCache.get('after_failure') === 'value', 'Cache stays usable when restoring metadata fails');
+  await unrestoredCache.destroy();
+
+  const fullStorage = new RestoredMemoryAdapter();
+  for (let i = 0; i < 5; i++) {
+    await fullStorage.set(`stored_${i}`, JSON.stringify(i), { meta: { createdAt: Date.now(), expiresAt: null, accessCount: 0, tags: [], size: 1 } });
+  }
+  const limitedCache = new EasyCache({ storage: fullStorage, maxSize: 2 });
+  await limitedCache.get('stored_0');
+  assert(limitedCache.getStats().size === 2 && await limitedCache.size() === 2, 'Restored entries are evicted down to maxSize');
+  await limitedCache.destroy();
+
+  // Crash-safe saves and corruption recovery
+  const fs = require('fs');
+  const recoveryPath = './test_cache_files/test_recovery_cache.json';
+  const recoveryCache = new EasyCache({ storage: 'json', storageOptions: { filePath: recoveryPath, fsync: true } });
+  await recoveryCache.clear();
+  await recoveryCache.set('first', 1);
+  await Promise.all([recoveryCache.set('second', 2), recoveryCache.set('third', 3)]);
+  await recoveryCache.set('fourth', 4); // Leaves the previous save as the backup
+  assert(fs.readdirSync('./test_cache_files').every(name => !name.endsWith('.tmp')), 'JsonAdapter saves through renamed temporary files');
+
+  fs.writeFileSync(recoveryPath, '{"first": 1, "sec');
+  const recoveryErrors = [];
+  const recoveredCache = new EasyCache({ storage: 'json', storageOptions: { filePath: recoveryPath } });
+  recoveredCache.on('error', error => recoveryErrors.push(error));
+  assert(await recoveredCache.get('second') === 2, 'JsonAdapter restores the backup of a corrupted file');
+  assert(recoveryErrors[0] && recoveryErrors[0].code === 'ERR_CACHE_FILE_CORRUPTED' && recoveryErrors[0].recovered === true,
+    'JsonAdapter reports the recovery through the error event');
+  assert(fs.existsSync(`${recoveryPath}.corrupt`), 'JsonAdapter keeps the corrupted file');
+
+  fs.writeFileSync(recoveryPath, '{"first": 1, "sec');
+  const unwatchedCache = new EasyCache({ storage: 'json', storageOptions: { filePath: recoveryPath } });
+  assert(await unwatchedCache.get('second') === 2, 'JsonAdapter recovers a corrupted file without an error listener');
+  await unwatchedCache.set('fifth', 5);
+  assert(await unwatchedCache.get('fifth') === 5, 'Cache stays usable after recovering without an error listener');
+  await unwatchedCache.destroy();
+
+  fs.writeFileSync(recoveryPath, 'garbage');
+  fs.writeFileSync(`${recoveryPath}.bak`, 'garbage');
+  const lostErrors = [];
+  const lostCache = new EasyCache({ storage: 'file', storageOptions: { filePath: recoveryPath } });
+  lostCache.on('error', error => lostErrors.push(error));
+  assert(await lostCache.get('first') === undefined && lostErrors[0] && lostErrors[0].recovered === false,
+    'FileAdapter reports data loss when the backup is unusable too');
+  await lostCache.destroy();
+  await recoveredCache.destroy();
+  await recoveryCache.destroy();
+
+  // Batched saves
+  const batchItems = {};
+  for (let i = 0; i < 200; i++) {
+    batchItems[`batch_${i}`] = i;
+  }
+  const batchedCache = new EasyCache({ storage: 'json', storageOptions: { filePath: './test_cache_files/test_batched_cache.json' } });
+  await batchedCache.clear();
+  let batchedWrites = 0;
+  const writeBatchedFile = batchedCache.storage._writeFile.bind(batchedCache.storage);
+  batchedCache.storage._writeFile = () => {
+    batchedWrites++;
+    return writeBatchedFile();
+  };
+  await batchedCache.setMultiple(batchItems);
+  assert(batchedWrites <= 2, 'JsonAdapter coalesces concurrent saves');
+  await batchedCache.destroy();
+
+  const deferredOptions = {
+    storage: 'json',
+    storageOptions: { filePath: './test_cache_files/test_batched_cache.json', flushInterval: 60000 }
+  };
+  const deferredCache = new EasyCache(deferredOptions);
+  await deferredCache.clear();
+  await deferredCache.flush();
+  await deferredCache.setMultiple(batchItems);
+  assert(!fs.readFileSync('./test_cache_files/test_batched_cache.json', 'utf8').includes('batch_199'), 'flushInterval defers saves');
+  await deferredCache.flush();
+  assert(fs.readFileSync('./test_cache_files/test_batched_cache.json', 'utf8').includes('batch_199'), 'flush() writes deferred changes');
+  await deferredCache.set('batch_last', 'saved on destroy');
+  await deferredCache.destroy();
+  const reloadedDeferredCache = new EasyCache(deferredOptions);
+  assert(await reloadedDeferredCache.get('batch_last') === 'saved on destroy', 'destroy() flushes deferred changes and keeps them');
+  await reloadedDeferredCache.destroy();
+
+  // Shared files
+  const sharedFileOptions = {
+    storage: 'json',
+    storageOptions: { filePath: './test_cache_files/test_shared_cache.json', locking: true }
+  };
+  const firstWorker = new EasyCache(sharedFileOptions);
+  const secondWorker = new EasyCache(sharedFileOptions);
+  await firstWorker.clear();
+  const workerWrites = [];
+  for (let i = 0; i < 20; i++) {
+    workerWrites.push(firstWorker.set(`first_${i}`, i), secondWorker.set(`second_${i}`, i));
+  }
+  await Promise.all(workerWrites);
+  const sharedContent = JSON.parse(fs.readFileSync('./test_cache_files/test_shared_cache.json', 'utf8'));
+  assert(Object.keys(sharedContent).filter(key => /^(first|second)_/.test(key)).length === 40, 'Locked JsonAdapters sharing a file keep each other\'s writes');
+  await firstWorker.set('second_0', 'updated');
+  assert(await secondWorker.get('second_0') === 'updated', 'Locked JsonAdapters reload changes of other processes');
+  await firstWorker.set('first_only', 'visible', 5000, ['first']);
+  assert(await secondWorker.has('first_only') && await secondWorker.get('first_only') === 'visible', 'Locked JsonAdapters serve keys written by other processes');
+  assert(secondWorker.getInfo('first_only').tags[0] === 'first', 'Keys written by other processes are read with their metadata');
+
+  fs.writeFileSync('./test_cache_files/test_shared_cache.json.lock', JSON.stringify({ pid: process.pid, hostname: require('os').hostname(), token: 'held' }));
+  const lockedStorage = new (require('../src/adapters').JsonAdapter)({ ...sharedFileOptions.storageOptions, lockTimeout: 50 });
+  let lockError = null;
+  try {
+    await lockedStorage.set('locked', true);
+  } catch (error) {
+    lockError = error;
+  }
+  assert(lockError && lockError.code === 'ERR_CACHE_LOCK_TIMEOUT', 'Saves wait for the lock and time out');
+  fs.writeFileSync('./test_cache_files/test_shared_cache.json.lock', JSON.stringify({ pid: 2 ** 22 + 1, hostname: require('os').hostname(), token: 'crashed' }));
+  await lockedStorage.set('locked', true);
+  assert(!fs.existsSync('./test_cache_files/test_shared_cache.json.lock'), 'Locks of crashed processes are taken over');
+
+  const { withLock } = require('../src/adapters/lock');
+  const lockPath = './test_cache_files/test_takeover.lock';
+  let lockHolders = 0;
+  let overlapped = false;
+  const holdLock = delay => withLock(lockPath, { staleTime: 60, timeout: 2000 }, async () => {
+    lockHolders++;
+    overlapped = overlapped || lockHolders > 1;
+    await new Promise(resolve => setTimeout(resolve, delay));
+    lockHolders--;
+  });
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1, hostname: require('os').hostname(), token: 'crashed' }));
+  await Promise.all([holdLock(20), holdLock(20), holdLock(20)]);
+  assert(!overlapped, 'A stale lock is taken over by one process at a time');
+  await Promise.all([holdLock(200), new Promise(resolve => setTimeout(resolve, 10)).then(() => holdLock(0))]);
+  assert(!overlapped, 'Locks held longer than the stale time are refreshed');
+  await secondWorker.destroy();
+  await firstWorker.destroy();
+
+  // PatchAdapter
+  console.log('--- PatchAdapter ---');
+  const patchOptions = {
+    storage: 'patch',
+    storageOptions: {
+      filePath: './test_cache_files/test_patch_cache.json',
+      minCompactionSize: 10
+    }
+  };
+  const patchCache = new EasyCache(patchOptions);
+  await patchCache.clear();
+  for (let i = 0; i < 20; i++) {
+    await patchCache.set('patch_key', `patch_value_${i}`);
+  }
+  await patchCache.set('patch_deleted', 'gone');
+  await patchCache.delete('patch_deleted');
+  assert(await patchCache.get('patch_key') === 'patch_value_19', 'PatchAdapter set/get works');
+  await patchCache.storage.disconnect();
+  const patchLog = require('fs').readFileSync(patchOptions.storageOptions.filePath, 'utf8');
+  assert(patchLog.split('\n').filter(Boolean).length < 10, 'PatchAdapter compacts the log');
+
+  const replayedPatchCache = new EasyCache(patchOptions);
+  assert(await replayedPatchCache.get('patch_key') === 'patch_value_19', 'PatchAdapter replays the log at startup');
+  assert(await replayedPatchCache.has('patch_deleted') === false, 'PatchAdapter replays deletes');
+  await replayedPatchCache.destroy();
+  await patchCache.destroy();
+
+  require('fs').appendFileSync(patchOptions.storageOptions.filePath, '{"op":"set","key":"patch_torn","val');
+  const tornPatchCache = new EasyCache(patchOptions);
+  await tornPatchCache.set('patch_after_crash', 'kept');
+  await tornPatchCache.storage.disconnect();
+  const repairedPatchCache = new EasyCache(patchOptions);
+  assert(await repairedPatchCache.get('patch_after_crash') === 'kept', 'PatchAdapter drops a torn write so later appends survive');
+  await repairedPatchCache.destroy();
+  await tornPatchCache.destroy();
+
+  require('fs').appendFileSync(patchOptions.storageOptions.filePath, '{"op":"delete","key":"patch_after_crash"}');
+  const unterminatedPatchCache = new EasyCache(patchOptions);
+  assert(await unterminatedPatchCache.get('patch_after_crash') === 'kept', 'PatchAdapter ignores an unterminated last line that parses');
+  await unterminatedPatchCache.destroy();
+  const reloadedPatchCache = new EasyCache(patchOptions);
+  assert(await reloadedPatchCache.get('patch_after_crash') === 'kept', 'PatchAdapter loads the same entries after repairing the log');
+  await reloadedPatchCache.destroy();
+
+  // ShardedFileAdapter
+  console.log('--- ShardedFileAdapter ---');
+  const shardedOptions = {
+    storage: 'fs-sharded',
+    storageOptions: {
+      directory: './test_cache_files/test_sharded_cache',
+      maxDiskBytes: 2000
+    }
+  };
+  const shardedCache = new EasyCache(shardedOptions);
+  await shardedCache.clear();
+  await shardedCache.set('sharded_key', { data: 'sharded_value' }, 5000, ['group']);
+  await shardedCache.set('sharded_blob', 'b'.repeat(600));
+  assert((await shardedCache.get('sharded_key')).data === 'sharded_value', 'ShardedFileAdapter set/get works');
+  assert(await shardedCache.storage.size() === 2 && (await shardedCache.storage.keys()).includes('sharded_blob'), 'ShardedFileAdapter lists keys from the directory tree');
+
+  const restartedShardedCache = new EasyCache(shardedOptions);
+  assert(await restartedShardedCache.get('sharded_key') !== undefined, 'ShardedFileAdapter value survives restart');
+  assert(restartedShardedCache.getInfo('sharded_key').tags[0] === 'group', 'ShardedFileAdapter metadata survives restart');
+
+  // Reading refreshes the mtime, so the blob is the least recently used file
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await shardedCache.get('sharded_key');
+  await shardedCache.set('sharded_blob_2', 'x'.repeat(600));
+  await shardedCache.set('sharded_blob_3', 'y'.repeat(600));
+  assert(!(await shardedCache.storage.has('sharded_blob')) && await shardedCache.storage.has('sharded_key'), 'ShardedFileAdapter removes least recently used files over maxDiskBytes');
+  assert(shardedCache.storage.diskBytes <= 2000, 'ShardedFileAdapter stays within maxDiskBytes');
+
+  await shardedCache.storage.set('sharded_expiring', 'soon', { ttl: 10 });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert(await shardedCache.storage.size() === (await shardedCache.storage.keys()).length, 'ShardedFileAdapter size() skips expired files like keys()');
+
+  // Separate adapters on one directory stand for separate processes
+  const { ShardedFileAdapter } = require('../src/adapters');
+  const shardedWorkers = [new ShardedFileAdapter(shardedOptions.storageOptions), new ShardedFileAdapter(shardedOptions.storageOptions)];
+  const increments = [];
+  for (let i = 0; i < 10; i++) {
+    increments.push(...shardedWorkers.map(worker => worker.incrementTagVersion('shared_tag')));
+  }
+  await Promise.all(increments);
+  assert((await shardedWorkers[0].getTagVersions(['shared_tag'])).shared_tag === 20, 'ShardedFileAdapter keeps concurrent tag version increments of other processes');
+  await restartedShardedCache.destroy();
+  await shardedCache.destroy();
+
+  // SQLiteAdapter
+  console.log('--- SQLiteAdapter ---');
+  try {
+    const sqliteOptions = {
+      storage: 'sqlite',
+      storageOptions: { filePath: './test_cache_files/test_sqlite_cache.sqlite' }
+    };
+    const sqliteCache = new EasyCache(sqliteOptions);
+    await sqliteCache.clear();
+    await sqliteCache.set('sqlite_key', { data: 'sqlite_value' }, 5000, ['users']);
+    await sqliteCache.set('sqlite_admin', 'admin', 0, ['users/admins']);
+    await sqliteCache.set('sqlite_order', 'order', 0, ['orders']);
+    assert((await sqliteCache.get('sqlite_key')).data === 'sqlite_value', 'SQLiteAdapter set/get works');
+
+    const reopenedSqliteCache = new EasyCache(sqliteOptions);
+    assert(await reopenedSqliteCache.get('sqlite_admin') === 'admin', 'SQLiteAdapter value survives restart');
+    assert(reopenedSqliteCache.getInfo('sqlite_key').expiresAt === sqliteCache.getInfo('sqlite_key').expiresAt, 'SQLiteAdapter TTL survives restart');
+
+    assert(await sqliteCache.deleteByTag('users') === true, 'SQLiteAdapter deletes tags in SQL');
+    assert(await reopenedSqliteCache.storage.has('sqlite_admin') === false && await sqliteCache.has('sqlite_order'),
+      'SQLiteAdapter tag deletes cover child tags and other instances');
+    await reopenedSqliteCache.destroy();
+    await sqliteCache.destroy();
+  } catch (error) {
+    console.warn('SQLiteAdapter tests skipped: ', error.message);
+  }
+
+  // Native TTL contract
+  console.log('--- Native TTL ---');
+  const { MemoryAdapter } = require('../src/adapters');
+  const ttlAdapter = new MemoryAdapter();
+  const nativeTTLs = {};
+  const originalSet = ttlAdapter.set.bind(ttlAdapter);
+  ttlAdapter.set = (key, value, options) => {
+    nativeTTLs[key] = options.ttl;
+    return originalSet(key, value, options);
+  };
+  ttlAdapter.expire = async (key, ttl) => {
+    nativeTTLs[key] = ttl;
+    return true;
+  };
+  const nativeTTLCache = new EasyCache({ storage: ttlAdapter });
+  await nativeTTLCache.set('native_ttl', 'value', 5000);
+  await nativeTTLCache.set('native_forever', 'value');
+  assert(nativeTTLs.native_ttl > 4900 && nativeTTLs.native_ttl <= 5000, 'Adapters receive the TTL on set()');
+  assert(nativeTTLs.native_forever === 0, 'Adapters receive no TTL for non-expiring keys');
+  nativeTTLCache.touch('native_ttl', 10000);
+  assert(nativeTTLs.native_ttl > 9900, 'touch() updates the native TTL');
+  await nativeTTLCache.destroy();
+
   // RedisAdapter
   console.log('--- RedisAdapter ---');
   try {